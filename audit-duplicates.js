@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { getClientConfig } from './lib/clients.js';
+import { createApiInstance } from './lib/wp-api.js';
+import { resolvePostType } from './lib/post-types.js';
+import { fetchAllPosts, EXPORT_STATUSES } from './lib/export.js';
+import { getNearDuplicateOptions, summarizePost, scorePair, isNearDuplicate } from './lib/duplicates.js';
+
+dotenv.config();
+
+/**
+ * Read a 0 - 1 threshold option, falling back to the configured value
+ */
+function parseThreshold(value, fallback, optionName) {
+  if (value === undefined) return fallback;
+  const threshold = parseFloat(value);
+  if (!(threshold > 0 && threshold <= 1)) {
+    throw new Error(`--${optionName} must be between 0 and 1 (got "${value}")`);
+  }
+  return threshold;
+}
+
+/**
+ * List pairs of existing posts that look like near-duplicates, without changing anything:
+ * node audit-duplicates.js [--client <id>] [--post-type <type>] [--status publish,draft]
+ *   [--title-threshold 0.85] [--content-threshold 0.8] [--report <path>]
+ * Thresholds default to the client's near-duplicate settings (NEAR_DUPLICATE_*_THRESHOLD).
+ */
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      client: { type: 'string' },
+      'post-type': { type: 'string' },
+      status: { type: 'string' },
+      'title-threshold': { type: 'string' },
+      'content-threshold': { type: 'string' },
+      report: { type: 'string', default: 'near_duplicates_report.json' },
+    },
+  });
+
+  const clientConfig = getClientConfig(args.client || null);
+  const clientApi = createApiInstance(clientConfig);
+  const configured = getNearDuplicateOptions(clientConfig, 'warn');
+  const options = {
+    titleThreshold: parseThreshold(args['title-threshold'], configured.titleThreshold, 'title-threshold'),
+    contentThreshold: parseThreshold(args['content-threshold'], configured.contentThreshold, 'content-threshold'),
+  };
+  const statuses = args.status ? args.status.split(',').map(status => status.trim()).filter(Boolean) : EXPORT_STATUSES;
+  const unknown = statuses.filter(status => !EXPORT_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown status "${unknown.join(', ')}" (allowed: ${EXPORT_STATUSES.join(', ')})`);
+  }
+  const postType = await resolvePostType(args['post-type'] || '', clientApi);
+
+  console.log('🧬 WordPress Near-Duplicate Audit\n');
+  console.log(`Client: ${clientConfig.name}`);
+  console.log(`Site: ${clientConfig.wp_site}`);
+  console.log(`Post Type: ${postType.slug}`);
+  console.log(`Statuses: ${statuses.join(', ')}`);
+  console.log(`Thresholds: title words ≥ ${Math.round(options.titleThreshold * 100)}%, content ≥ ${Math.round(options.contentThreshold * 100)}%`);
+  console.log('');
+
+  const posts = (await fetchAllPosts(clientApi, postType.restBase, statuses)).map(summarizePost);
+  console.log(`📊 Comparing ${posts.length} ${postType.slug}(s)\n`);
+
+  const pairs = [];
+  for (let i = 0; i < posts.length; i++) {
+    for (let j = i + 1; j < posts.length; j++) {
+      const score = scorePair(posts[i], posts[j], options);
+      if (isNearDuplicate(score, options)) {
+        pairs.push({ score, posts: [posts[i], posts[j]] });
+      }
+    }
+  }
+  pairs.sort((a, b) => Math.max(b.score.title, b.score.content) - Math.max(a.score.title, a.score.content));
+
+  if (pairs.length === 0) {
+    console.log('✅ No near-duplicate posts found!');
+  } else {
+    console.log(`⚠️  Found ${pairs.length} near-duplicate pair(s):\n`);
+    pairs.forEach(({ score, posts: [a, b] }, index) => {
+      console.log(`${index + 1}. title ${Math.round(score.title * 100)}%, content ${Math.round(score.content * 100)}%`);
+      console.log(`   Post ID ${a.id} [${a.status}] "${a.title}"`);
+      console.log(`   Post ID ${b.id} [${b.status}] "${b.title}"`);
+      console.log('');
+    });
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    site: clientConfig.wp_site,
+    postType: postType.slug,
+    statuses,
+    titleThreshold: options.titleThreshold,
+    contentThreshold: options.contentThreshold,
+    pairs: pairs.map(({ score, posts: pair }) => ({
+      score: { title: Number(score.title.toFixed(3)), content: Number(score.content.toFixed(3)) },
+      posts: pair.map(post => ({ id: post.id, title: post.title, slug: post.slug, status: post.status, date: post.date, link: post.link })),
+    })),
+  };
+  const reportPath = path.resolve(args.report);
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  console.log(`📄 Report: ${reportPath}`);
+  if (pairs.length > 0) {
+    console.log('💡 To remove exact or content duplicates, see npm run remove-duplicates');
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Fatal error:', error.message);
+  process.exit(1);
+});
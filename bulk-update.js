@@ -1,11 +1,27 @@
-import axios from 'axios';
 import csv from 'csv-parser';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import mime from 'mime-types';
 import dotenv from 'dotenv';
 import readline from 'readline';
+import { parseArgs } from 'util';
+import { getClientConfig, getAvailableClients } from './lib/clients.js';
+import { checkImageSource } from './lib/dry-run.js';
+import { convertGoogleDriveUrl, uploadMediaItem, getMediaDetails, applyMediaDetails } from './lib/media.js';
+import { getMediaHashes } from './lib/media-hashes.js';
+import { getImageOptimizeOptions } from './lib/image-optimizer.js';
+import { sideloadContentImages, describeInlineImages } from './lib/inline-images.js';
+import { resolveTerms, planTerms, resolveTaxonomyColumns } from './lib/terms.js';
+import { resolvePostType, getRowPostType } from './lib/post-types.js';
+import { resolvePageAttributes } from './lib/pages.js';
+import { resolvePublishDate } from './lib/schedule.js';
+import { resolveRowAuthor } from './lib/authors.js';
+import { diffPostFields, snapshotFields, describeDiff } from './lib/post-diff.js';
+import { runWithConcurrency } from './lib/worker-pool.js';
+import { validateRows, printValidationReport } from './lib/validate.js';
+import { createApiInstance, trackAttempts } from './lib/wp-api.js';
+import { getPostIndex } from './lib/post-index.js';
+import { readImportLog, isCompletedEntry, createLogWriter } from './lib/import-log.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,81 +29,24 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config();
 
-/**
- * Parse and get client configuration
- * CTS-only mode: uses single-client configuration (WP_SITE, WP_USER, WP_APP_PASSWORD)
- */
-function getClientConfig(clientId = null) {
-  // CTS-only: Always use single-client configuration
-  return {
-    wp_site: process.env.WP_SITE?.replace(/\/$/, '') || '',
-    wp_user: process.env.WP_USER || '',
-    wp_app_password: process.env.WP_APP_PASSWORD || '',
-    default_status: process.env.DEFAULT_STATUS || 'draft',
-    request_delay_ms: parseInt(process.env.REQUEST_DELAY_MS || '300', 10),
-    name: 'CTS',
-  };
-}
-
-/**
- * Get all available clients
- * CTS-only mode: returns empty array (no client selection needed)
- */
-export function getAvailableClients() {
-  return [];
-}
-
 // Get default client config
-const defaultConfig = getClientConfig();
-const WP_SITE = defaultConfig.wp_site;
-const WP_USER = defaultConfig.wp_user;
-const WP_APP_PASSWORD = defaultConfig.wp_app_password;
-const CSV_PATH = process.env.CSV_PATH || 'posts.csv';
-const REQUEST_DELAY_MS = defaultConfig.request_delay_ms;
-
-// Validate required config
-if (!WP_SITE || !WP_USER || !WP_APP_PASSWORD) {
-  console.error('❌ Missing required environment variables: WP_SITE, WP_USER, WP_APP_PASSWORD (or CLIENTS_CONFIG)');
+let defaultConfig;
+try {
+  defaultConfig = getClientConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
-/**
- * Create axios instance with auth for a specific client
- */
-function createApiInstance(clientConfig) {
-  const auth = Buffer.from(`${clientConfig.wp_user}:${clientConfig.wp_app_password}`).toString('base64');
-  return axios.create({
-    baseURL: `${clientConfig.wp_site}/wp-json/wp/v2`,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-    },
-    timeout: 30000,
-  });
-}
+export { getAvailableClients };
 
 // Default API instance (for backward compatibility)
-const auth = Buffer.from(`${WP_USER}:${WP_APP_PASSWORD}`).toString('base64');
-const api = axios.create({
-  baseURL: `${WP_SITE}/wp-json/wp/v2`,
-  headers: {
-    'Authorization': `Basic ${auth}`,
-    'Content-Type': 'application/json',
-  },
-  timeout: 30000,
-});
+const api = createApiInstance(defaultConfig);
 
 // Logging
 let logResults = [];
 let startTime = Date.now();
 
-/**
- * Sleep for specified milliseconds
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Prompt user for CSV file path
  */
@@ -133,13 +92,6 @@ async function loadCsv(filePath) {
   });
 }
 
-/**
- * Check WordPress REST API connectivity
- */
-async function checkConnectivity() {
-  return checkConnectivityWithApi(api, WP_SITE);
-}
-
 /**
  * Check WordPress REST API connectivity with specific API instance
  */
@@ -164,171 +116,15 @@ async function checkConnectivityWithApi(apiInstance, siteUrl) {
 }
 
 /**
- * Get or create a taxonomy term (category or tag)
- */
-async function getOrCreateTerm(name, taxonomy = 'categories', apiInstance = api, clientConfig = null) {
-  if (!name || !name.trim()) return null;
-
-  const trimmedName = name.trim();
-  const currentApi = apiInstance || api;
-  const config = clientConfig || defaultConfig;
-
-  try {
-    const searchResponse = await currentApi.get(`/${taxonomy}`, {
-      params: { search: trimmedName, per_page: 100 },
-    });
-
-    const existing = searchResponse.data.find(
-      term => term.name.toLowerCase() === trimmedName.toLowerCase()
-    );
-
-    if (existing) {
-      return existing.id;
-    }
-
-    await sleep(config.request_delay_ms);
-    const createResponse = await currentApi.post(`/${taxonomy}`, {
-      name: trimmedName,
-    });
-
-    return createResponse.data.id;
-  } catch (error) {
-    console.error(`⚠️  Failed to get/create ${taxonomy} "${trimmedName}": ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Resolve multiple terms from comma-separated string
+ * Find post by ID (restBase selects the post type's endpoint)
  */
-async function resolveTerms(termString, taxonomy, apiInstance = api, clientConfig = null) {
-  if (!termString || !termString.trim()) return [];
-
-  const names = termString.split(',').map(n => n.trim()).filter(Boolean);
-  const termIds = [];
-  const currentApi = apiInstance || api;
-  const config = clientConfig || defaultConfig;
-
-  for (const name of names) {
-    const id = await getOrCreateTerm(name, taxonomy, currentApi, config);
-    if (id) {
-      termIds.push(id);
-    }
-    await sleep(config.request_delay_ms);
-  }
-
-  return termIds;
-}
-
-/**
- * Convert Google Drive URL to direct download URL
- */
-function convertGoogleDriveUrl(url) {
-  if (!url) return url;
-
-  // Check if it's a Google Drive URL
-  if (url.includes('drive.google.com')) {
-    // Try to extract the ID
-    // Matches /file/d/ID/view or /open?id=ID
-    const idMatch = url.match(/\/d\/([a-zA-Z0-9_-]+)/) || url.match(/id=([a-zA-Z0-9_-]+)/);
-
-    if (idMatch && idMatch[1]) {
-      const fileId = idMatch[1];
-      console.log(`   🔄 Converting Google Drive URL to direct link (ID: ${fileId})`);
-      return `https://drive.google.com/uc?export=download&id=${fileId}`;
-    }
-  }
-
-  return url;
-}
-
-/**
- * Download image from URL
- */
-async function downloadImageFromUrl(imageUrl) {
-  try {
-    const response = await axios.get(imageUrl, {
-      responseType: 'arraybuffer',
-      timeout: 30000,
-    });
-
-    return {
-      buffer: Buffer.from(response.data),
-      mimeType: response.headers['content-type'] || mime.lookup(imageUrl) || 'image/jpeg',
-      fileName: path.basename(new URL(imageUrl).pathname) || 'image.jpg',
-    };
-  } catch (error) {
-    console.error(`⚠️  Failed to download image from URL "${imageUrl}": ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Upload featured image to WordPress media library
- */
-async function uploadMedia(filePathOrUrl, apiInstance = api, clientConfig = null) {
-  const currentApi = apiInstance || api;
-  const config = clientConfig || defaultConfig;
-  if (!filePathOrUrl || !filePathOrUrl.trim()) return null;
-
-  let fileBuffer, fileName, mimeType;
-  let processedUrl = filePathOrUrl.trim();
-
-  if (processedUrl.startsWith('http://') || processedUrl.startsWith('https://')) {
-    // Handle Google Drive URLs
-    processedUrl = convertGoogleDriveUrl(processedUrl);
-
-    const downloaded = await downloadImageFromUrl(processedUrl);
-    if (!downloaded) return null;
-
-    fileBuffer = downloaded.buffer;
-    fileName = downloaded.fileName;
-    mimeType = downloaded.mimeType;
-  } else {
-    const fullPath = path.resolve(__dirname, processedUrl);
-
-    if (!fs.existsSync(fullPath)) {
-      console.error(`⚠️  Image file not found: ${fullPath}`);
-      return null;
-    }
-
-    fileBuffer = fs.readFileSync(fullPath);
-    fileName = path.basename(fullPath);
-    mimeType = mime.lookup(fullPath) || 'application/octet-stream';
-  }
-
-  try {
-    await sleep(config.request_delay_ms);
-
-    const response = await currentApi.post('/media', fileBuffer, {
-      headers: {
-        'Content-Type': mimeType,
-        'Content-Disposition': `attachment; filename="${fileName}"`,
-      },
-      maxBodyLength: Infinity,
-      maxContentLength: Infinity,
-    });
-
-    return response.data.id;
-  } catch (error) {
-    console.error(`⚠️  Failed to upload media "${filePathOrUrl}": ${error.message}`);
-    if (error.response?.data) {
-      console.error(`   Error details: ${JSON.stringify(error.response.data)}`);
-    }
-    return null;
-  }
-}
-
-/**
- * Find post by ID
- */
-async function findPostById(postId, apiInstance = api) {
+async function findPostById(postId, apiInstance = api, restBase = 'posts') {
   if (!postId) return null;
 
   const currentApi = apiInstance || api;
 
   try {
-    const response = await currentApi.get(`/posts/${postId}`);
+    const response = await currentApi.get(`/${restBase}/${postId}`);
     return response.data.id;
   } catch (error) {
     if (error.response?.status === 404) {
@@ -339,136 +135,56 @@ async function findPostById(postId, apiInstance = api) {
   }
 }
 
-/**
- * Find post by slug
- */
-async function findPostBySlug(slug, apiInstance = api) {
-  if (!slug || !slug.trim()) return null;
-
-  const currentApi = apiInstance || api;
-
-  try {
-    const response = await currentApi.get('/posts', {
-      params: { slug: slug.trim(), per_page: 1 },
-    });
-
-    if (response.data && response.data.length > 0) {
-      return response.data[0].id;
-    }
-
-    return null;
-  } catch (error) {
-    console.error(`⚠️  Failed to search for post by slug "${slug}": ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Find post by title
- */
-async function findPostByTitle(title, apiInstance = api) {
-  const currentApi = apiInstance || api;
-  if (!title || !title.trim()) return null;
-
-  try {
-    const normalizeTitle = (str) => {
-      if (!str) return '';
-      return str
-        .replace(/<[^>]*>/g, '')
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&amp;/g, '&')
-        .replace(/&quot;/g, '"')
-        .replace(/&#8217;/g, "'")
-        .replace(/&#8216;/g, "'")
-        .replace(/&#39;/g, "'")
-        .replace(/&#038;/g, '&')
-        .replace(/&[^;]+;/g, '')
-        .replace(/\s+/g, ' ')
-        .toLowerCase()
-        .trim();
-    };
-
-    const normalizedSearchTitle = normalizeTitle(title);
-
-    let page = 1;
-    const perPage = 100;
-    let hasMore = true;
-
-    while (hasMore) {
-      const response = await currentApi.get('/posts', {
-        params: {
-          per_page: perPage,
-          page: page,
-          status: 'any',
-          orderby: 'date',
-          order: 'desc'
-        },
-      });
-
-      if (!response.data || response.data.length === 0) {
-        hasMore = false;
-        break;
-      }
-
-      for (const post of response.data) {
-        const postTitleRaw = post.title?.rendered || post.title?.raw || post.title || '';
-        const postTitleNormalized = normalizeTitle(postTitleRaw);
-
-        if (postTitleNormalized === normalizedSearchTitle) {
-          return post.id;
-        }
-      }
-
-      if (response.data.length < perPage) {
-        hasMore = false;
-      } else {
-        page++;
-        if (page > 10) {
-          console.log(`⚠️  Reached 1000 post limit. Stopping search.`);
-          hasMore = false;
-        }
-      }
-    }
-
-    return null;
-  } catch (error) {
-    console.error(`⚠️  Failed to search for post by title "${title}": ${error.message}`);
-    return null;
-  }
-}
-
 /**
  * Update an existing post
+ * The post type comes from the row's post_type column or runContext.postType (defaults to "post").
+ * With runContext.sideloadImages, remote <img> sources in new content are moved to the media library.
+ * Only fields that differ from the current post are sent; result.changes holds their before/after values and
+ * result.unchanged the rest, and result.snapshot the values it overwrote (for undo.js). Featured image details
+ * work the same way through result.mediaChanges and result.mediaSnapshot. A row with nothing to change is not
+ * written (action "unchanged").
+ * With runContext.dryRun, only reads from WordPress and records the planned update in result.plan.
  */
-async function updatePost(row, rowNumber, progressCallback = null, apiInstance = api, clientConfig = null) {
-  // Use provided API instance or default
-  const currentApi = apiInstance || api;
+async function updatePost(row, rowNumber, progressCallback = null, apiInstance = api, clientConfig = null, runContext = {}) {
   const config = clientConfig || defaultConfig;
+  const dryRun = !!runContext.dryRun;
   const result = {
     rowNumber,
     title: row.title || 'Untitled',
     action: null,
     postId: null,
+    postType: null,
     status: null,
     error: null,
+    attempts: 0,
+    retries: 0,
   };
+  // Use provided API instance or default; every request (including retries) is counted on the result
+  const currentApi = trackAttempts(apiInstance || api, result);
+  const plan = dryRun ? { fields: [], newCategories: [], newTags: [], newTerms: {}, featuredImage: null } : null;
 
   try {
+    const postType = await resolvePostType(getRowPostType(row, runContext), currentApi, runContext);
+    const typeLabel = postType.slug === 'post' ? 'post' : postType.slug;
+    result.postType = postType.slug;
+
     // Find the post to update - priority: post_id > slug > title
     let postId = null;
 
     if (row.post_id?.trim()) {
-      postId = await findPostById(row.post_id.trim(), currentApi);
+      postId = await findPostById(row.post_id.trim(), currentApi, postType.restBase);
       if (!postId) {
         throw new Error(`Post with ID "${row.post_id}" not found`);
       }
     } else if (row.slug?.trim()) {
-      postId = await findPostBySlug(row.slug.trim(), currentApi);
+      const postIndex = await getPostIndex(runContext, apiInstance || api, postType.restBase);
+      postId = postIndex.findBySlug(row.slug.trim())?.id || null;
       if (!postId) {
         throw new Error(`Post with slug "${row.slug}" not found`);
       }
     } else if (row.title?.trim()) {
-      postId = await findPostByTitle(row.title.trim(), currentApi);
+      const postIndex = await getPostIndex(runContext, apiInstance || api, postType.restBase);
+      postId = postIndex.findByTitle(row.title.trim())?.id || null;
       if (!postId) {
         throw new Error(`Post with title "${row.title}" not found`);
       }
@@ -478,8 +194,8 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
 
     result.postId = postId;
 
-    // Get existing post to preserve fields not being updated
-    const existingPostResponse = await currentApi.get(`/posts/${postId}`);
+    // Get the existing post (raw fields) to compare against
+    const existingPostResponse = await currentApi.get(`/${postType.restBase}/${postId}`, { params: { context: 'edit' } });
     const existingPost = existingPostResponse.data;
 
     // Prepare update data - only include fields that are provided
@@ -510,6 +226,20 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
       updateData.excerpt = row.excerpt.trim();
     }
 
+    // Publish date from publish_at / date: a future date schedules a published post, a past one backdates it
+    const publishDate = await resolvePublishDate(row, updateData.status || existingPost.status, currentApi, config.wp_site, runContext);
+    if (publishDate) {
+      Object.assign(updateData, publishDate.fields);
+      if (dryRun) plan.date = publishDate.local;
+    }
+
+    // Author from the author column (login, email, display name or user ID); left alone when empty
+    const author = await resolveRowAuthor(row, config, currentApi, runContext);
+    if (author) {
+      updateData.author = author.id;
+      result.author = author;
+    }
+
     // Handle ACF JSON
     if (row.acf_json?.trim()) {
       try {
@@ -520,29 +250,77 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
       }
     }
 
-    // Resolve categories if provided
+    // Page attributes: parent (ID, slug or slug path), menu_order, template
+    const pageAttributes = await resolvePageAttributes(row, postType, currentApi, runContext, rowNumber);
+    Object.assign(updateData, pageAttributes.fields);
+
+    // Resolve categories if provided (dry run: look up only, record the ones that would be created)
     if (row.categories?.trim()) {
-      const categoryIds = await resolveTerms(row.categories, 'categories', currentApi, config);
-      if (categoryIds.length > 0) {
-        updateData.categories = categoryIds;
+      if (dryRun) {
+        const termPlan = await planTerms(row.categories, 'categories', currentApi, runContext);
+        plan.newCategories = termPlan.toCreate;
+        // Names of terms to create stand in for their IDs, so they always count as a change
+        updateData.categories = [...termPlan.existing, ...termPlan.toCreate];
+      } else {
+        const categoryIds = await resolveTerms(row.categories, 'categories', currentApi, runContext);
+        if (categoryIds.length > 0) {
+          updateData.categories = categoryIds;
+        }
       }
     }
 
     // Resolve tags if provided
     if (row.tags?.trim()) {
-      const tagIds = await resolveTerms(row.tags, 'tags', currentApi, config);
-      if (tagIds.length > 0) {
-        updateData.tags = tagIds;
+      if (dryRun) {
+        const termPlan = await planTerms(row.tags, 'tags', currentApi, runContext);
+        plan.newTags = termPlan.toCreate;
+        updateData.tags = [...termPlan.existing, ...termPlan.toCreate];
+      } else {
+        const tagIds = await resolveTerms(row.tags, 'tags', currentApi, runContext);
+        if (tagIds.length > 0) {
+          updateData.tags = tagIds;
+        }
+      }
+    }
+
+    // Resolve custom taxonomy columns (tax:<taxonomy>)
+    const taxonomyTerms = await resolveTaxonomyColumns(row, postType, currentApi, runContext);
+    if (dryRun) {
+      Object.assign(plan.newTerms, taxonomyTerms.toCreate);
+      plan.fields.push(...Object.keys(row).filter(column => column.startsWith('tax:') && row[column]?.trim()));
+    } else {
+      for (const [restBase, termIds] of Object.entries(taxonomyTerms.terms)) {
+        updateData[restBase] = [...new Set([...(updateData[restBase] || []), ...termIds])];
       }
     }
 
     // Upload featured image if provided
+    // Alt text, caption and title come from the featured_image_* columns, alt text and title default to the post title.
+    // They are sent after the post, and only where they differ from the attachment's current values.
+    let mediaUpdate = null;
     const imagePath = row.featured_image_path?.trim() || row.featured_image_url?.trim();
+    const hasImageDetails = ['featured_image_alt', 'featured_image_caption', 'featured_image_title'].some(column => row[column]?.trim());
+    const postTitle = updateData.title || existingPost.title?.raw || existingPost.title?.rendered;
     if (imagePath) {
-      const mediaId = await uploadMedia(imagePath, currentApi, config);
-      if (mediaId) {
-        updateData.featured_media = mediaId;
+      if (dryRun) {
+        const imageSource = /^https?:\/\//.test(imagePath) ? convertGoogleDriveUrl(imagePath) : imagePath;
+        plan.featuredImage = await checkImageSource(imageSource);
+        plan.fields.push('featured_media');
+      } else {
+        const media = await uploadMediaItem(imagePath, currentApi, {
+          mediaHashes: getMediaHashes(runContext, config.wp_site),
+          optimize: runContext.optimizeImages,
+        });
+        if (media) {
+          updateData.featured_media = media.id;
+          if (media.optimization) result.featuredImageOptimization = media.optimization;
+          mediaUpdate = await planMediaDetails(media, row, postTitle, currentApi);
+        }
       }
+    } else if (hasImageDetails && existingPost.featured_media) {
+      // No new image: update the details of the current featured image (explicit columns only)
+      mediaUpdate = await planMediaDetails({ id: existingPost.featured_media, reused: true }, row, postTitle, currentApi);
+      if (dryRun && mediaUpdate.changes) plan.fields.push('featured image details');
     }
 
     // Handle Meta Title, Description, and Focus Keyword
@@ -579,14 +357,88 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
       }
     }
 
-    // Perform the update
-    await sleep(config.request_delay_ms);
-    const updateResponse = await currentApi.post(`/posts/${postId}`, updateData);
+    // Upload remote <img> sources in the new content once each and point the content at the attachments
+    if (runContext.sideloadImages && updateData.content) {
+      const inline = await sideloadContentImages(updateData.content, config.wp_site, currentApi, runContext);
+      updateData.content = inline.content;
+      if (dryRun) {
+        plan.inlineImages = inline.images;
+      } else {
+        result.inlineImages = inline.images;
+      }
+      if (inline.images.length > 0) {
+        console.log(`[${rowNumber}] 🖼️  ${describeInlineImages(inline.images, dryRun)}`);
+      }
+    }
 
+    // Dry run: report what would change and stop before the write
+    // Field-level diff against the current post; only the changed fields are sent
+    const diff = diffPostFields(existingPost, updateData);
+    result.changes = diff.changes;
+    result.unchanged = diff.unchanged;
+    if (mediaUpdate?.changes) result.mediaChanges = mediaUpdate.changes;
+
+    if (dryRun) {
+      plan.fields.unshift(...Object.keys(diff.changes));
+      result.action = plan.fields.length ? 'would-update' : 'unchanged';
+      result.status = updateData.status || existingPost.status;
+      result.plan = plan;
+      const notes = [
+        describeDiff(diff),
+        `fields: ${plan.fields.join(', ') || 'none'}`,
+        plan.date ? `${result.status === 'future' ? 'scheduled for' : 'dated'} ${plan.date}` : null,
+        author ? `author ${author.name}${author.fallback ? ' (default, named author not found)' : ''}` : null,
+        plan.newCategories.length ? `new categories: ${plan.newCategories.join(', ')}` : null,
+        plan.newTags.length ? `new tags: ${plan.newTags.join(', ')}` : null,
+        ...Object.entries(plan.newTerms).map(([restBase, names]) => `new ${restBase}: ${names.join(', ')}`),
+        plan.featuredImage && !plan.featuredImage.reachable ? `image unreachable: ${plan.featuredImage.detail}` : null,
+        plan.inlineImages?.length ? describeInlineImages(plan.inlineImages, true) : null,
+      ].filter(Boolean);
+      const message = `[${rowNumber}] 🧪 would update ${typeLabel} ${postId}: ${result.title} (${notes.join('; ')})`;
+      console.log(message);
+      if (progressCallback) progressCallback({ type: 'info', message, rowNumber, postId, title: result.title });
+      return result;
+    }
+
+    if (Object.keys(diff.changes).length === 0 && !mediaUpdate?.changes) {
+      result.action = 'unchanged';
+      result.status = existingPost.status;
+      const message = `[${rowNumber}] ⏭️  Unchanged ${typeLabel} ${postId}: ${result.title} (${describeDiff(diff)})`;
+      console.log(message);
+      if (progressCallback) progressCallback({ type: 'info', message, rowNumber, postId, title: result.title });
+      return result;
+    }
+
+    // Perform the update
+    const changedData = Object.fromEntries(Object.keys(diff.changes).map(field => [field, updateData[field]]));
+    result.snapshot = snapshotFields(existingPost, changedData);
     result.action = 'updated';
-    result.postId = updateResponse.data.id;
-    result.status = updateResponse.data.status;
-    const message = `[${rowNumber}] ✅ Updated post ${result.postId}: ${result.title}`;
+    result.postId = postId;
+    result.status = existingPost.status;
+    if (Object.keys(changedData).length > 0) {
+      const updateResponse = await currentApi.post(`/${postType.restBase}/${postId}`, changedData);
+      // Keep the index current if this run changed the title or slug
+      const postIndex = runContext.postIndexes?.get(postType.restBase);
+      if (postIndex) (await postIndex).add(updateResponse.data);
+      result.postId = updateResponse.data.id;
+      result.status = updateResponse.data.status;
+    }
+
+    if (mediaUpdate?.changes) {
+      const { media, current } = mediaUpdate;
+      const sent = await applyMediaDetails(media, row, postTitle, currentApi, current);
+      // A reused attachment's old details are logged so undo.js can put them back (a new one is deleted instead)
+      if (current && Object.keys(sent).length > 0) {
+        result.mediaSnapshot = { mediaId: media.id, fields: snapshotFields(current, sent) };
+      }
+    }
+
+    const notes = [
+      describeDiff(diff),
+      mediaUpdate?.changes ? `featured image ${Object.keys(mediaUpdate.changes).join(', ')} changed` : null,
+      publishDate?.scheduled ? `scheduled for ${publishDate.local}` : null,
+    ].filter(Boolean);
+    const message = `[${rowNumber}] ✅ Updated ${typeLabel} ${result.postId}: ${result.title} (${notes.join('; ')})`;
     console.log(message);
     if (progressCallback) {
       progressCallback({
@@ -602,6 +454,7 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
     if (error.response?.data) {
       result.error = `${error.message}: ${JSON.stringify(error.response.data)}`;
     }
+    if (plan) result.plan = plan;
     const errorMessage = `[${rowNumber}] ❌ Failed: ${result.title} - ${result.error}`;
     console.error(errorMessage);
     if (progressCallback) {
@@ -618,18 +471,92 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
   return result;
 }
 
+/**
+ * Work out which featured image details a row changes
+ * A reused attachment is read first, so details it already has are skipped and the ones overwritten can be logged.
+ * Returns { media, current, changes }; changes is { [field]: { before, after } }, or null when nothing changes.
+ */
+async function planMediaDetails(media, row, postTitle, apiInstance) {
+  let current = null;
+  if (media.reused) {
+    try {
+      current = (await apiInstance.get(`/media/${media.id}`, { params: { context: 'edit' } })).data;
+    } catch (error) {
+      // The post can still be updated without them, so don't fail the row
+      console.error(`⚠️  Could not read media ID ${media.id}, leaving its alt text/caption/title alone: ${error.message}`);
+      return { media, current, changes: null };
+    }
+  }
+  const details = getMediaDetails(media, row, postTitle, current);
+  if (Object.keys(details).length === 0) return { media, current, changes: null };
+
+  const changes = current
+    ? diffPostFields(current, details).changes
+    : Object.fromEntries(Object.entries(details).map(([field, after]) => [field, { before: null, after }]));
+  return { media, current, changes };
+}
+
+/**
+ * Resolve a log file path
+ * Use /tmp on Vercel (serverless), or __dirname for local development
+ */
+function getLogPath(fileName) {
+  const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+  return isVercel
+    ? path.join('/tmp', fileName)
+    : path.resolve(__dirname, fileName);
+}
+
 /**
  * Main execution
  */
 async function main() {
+  const { values: args, positionals } = parseArgs({
+    options: {
+      client: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      concurrency: { type: 'string' },
+      'post-type': { type: 'string' },
+      'sideload-images': { type: 'boolean', default: false },
+      'optimize-images': { type: 'boolean', default: false },
+      'skip-validation': { type: 'boolean', default: false },
+    },
+    allowPositionals: true,
+  });
+
+  const clientConfig = getClientConfig(args.client || null);
+  const clientApi = createApiInstance(clientConfig);
+  const runContext = {
+    dryRun: args['dry-run'],
+    postType: args['post-type'] || '',
+    sideloadImages: args['sideload-images'],
+    optimizeImages: args['optimize-images'] ? getImageOptimizeOptions(clientConfig) : null,
+  };
+  const concurrency = parseInt(args.concurrency || clientConfig.concurrency, 10) || 1;
+
   console.log('🔄 WordPress Bulk Updater\n');
-  console.log(`Site: ${WP_SITE}`);
-  console.log(`Request Delay: ${REQUEST_DELAY_MS}ms`);
+  console.log(`Client: ${clientConfig.name}`);
+  console.log(`Site: ${clientConfig.wp_site}`);
+  console.log(`Request Delay: ${clientConfig.request_delay_ms}ms`);
+  console.log(`Concurrency: ${concurrency}`);
+  if (runContext.postType) {
+    console.log(`Post Type: ${runContext.postType} (rows with a post_type column override it)`);
+  }
+  if (runContext.sideloadImages) {
+    console.log('Inline Images: remote <img> sources will be uploaded to the media library');
+  }
+  if (runContext.optimizeImages) {
+    const { maxWidth, quality, webp } = runContext.optimizeImages;
+    console.log(`Image Optimization: max width ${maxWidth}px, quality ${quality}${webp ? ', WebP' : ''}, metadata stripped`);
+  }
+  if (runContext.dryRun) {
+    console.log('🧪 Dry run: nothing will be written to WordPress');
+  }
 
   let csvPath;
 
-  if (process.argv[2]) {
-    csvPath = process.argv[2];
+  if (positionals[0]) {
+    csvPath = positionals[0];
     console.log(`\nCSV: ${csvPath} (from command-line argument)`);
   } else {
     const suggestedPath = process.env.CSV_PATH || 'posts.csv';
@@ -637,7 +564,7 @@ async function main() {
     console.log(`\nCSV: ${csvPath}`);
   }
 
-  const isConnected = await checkConnectivity();
+  const isConnected = await checkConnectivityWithApi(clientApi, clientConfig.wp_site);
   if (!isConnected) {
     process.exit(1);
   }
@@ -653,6 +580,7 @@ async function main() {
     console.error(`   - Use absolute path: C:\\Users\\YourName\\Documents\\file.csv`);
     console.error(`   - Use relative path: posts.csv (from script directory)`);
     console.error(`   - Or pass as argument: npm run update "C:\\path\\to\\file.csv"`);
+    console.error(`   - Pick a client: npm run update -- --client <id> posts.csv`);
     process.exit(1);
   }
 
@@ -661,16 +589,25 @@ async function main() {
     process.exit(0);
   }
 
-  console.log('📤 Starting update process...\n');
-  for (let i = 0; i < rows.length; i++) {
-    const result = await updatePost(rows[i], i + 1, null, api, defaultConfig);
-    logResults.push(result);
+  // Pre-flight: a real run doesn't start while any row has an error (dry runs only report them)
+  if (!args['skip-validation']) {
+    const report = await validateRows(rows, { mode: 'update' });
+    if (report.errors.length > 0 || report.warnings.length > 0) {
+      printValidationReport(report);
+      console.log('');
+    }
+    if (!report.valid && !runContext.dryRun) {
+      console.error('💡 Fix the rows above (or pass --skip-validation to update anyway)');
+      process.exit(1);
+    }
   }
 
-  const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
-  const logPath = isVercel
-    ? path.join('/tmp', 'update_log.json')
-    : path.resolve(__dirname, 'update_log.json');
+  console.log(runContext.dryRun ? '🧪 Planning update...\n' : '📤 Starting update process...\n');
+  logResults = await runWithConcurrency(rows, concurrency, (row, index) =>
+    updatePost(row, index + 1, null, clientApi, clientConfig, runContext)
+  );
+
+  const logPath = getLogPath(runContext.dryRun ? 'update_plan.json' : 'update_log.json');
   fs.writeFileSync(logPath, JSON.stringify(logResults, null, 2));
   console.log(`\n📝 Log written to: ${logPath}`);
 
@@ -682,7 +619,8 @@ async function main() {
   console.log('\n' + '='.repeat(50));
   console.log('📊 Summary');
   console.log('='.repeat(50));
-  console.log(`✅ Success: ${successCount}`);
+  console.log(runContext.dryRun ? `✏️  Would update: ${successCount}` : `✅ Success: ${successCount}`);
+  console.log(`⏭️  Unchanged: ${logResults.filter(r => r.action === 'unchanged').length}`);
   console.log(`❌ Failed: ${failedCount}`);
   console.log(`⏱️  Total Time: ${duration}s`);
   console.log('='.repeat(50) + '\n');
@@ -692,14 +630,34 @@ async function main() {
 
 /**
  * Process CSV file for updates (exported for use by web server)
+ * Options: dryRun - resolve and report the plan for each row without writing to WordPress
+ *          concurrency - rows processed in parallel (defaults to the client's CONCURRENCY)
+ *          postType - default post type for rows without a post_type column
+ *          sideloadImages - upload remote <img> sources in the content and rewrite them to the attachments
+ *          optimizeImages - resize/re-encode images before upload (IMAGE_MAX_WIDTH, IMAGE_QUALITY, IMAGE_WEBP)
+ *          skipValidation - start even when the CSV fails validation (see lib/validate.js); otherwise the
+ *                           thrown error carries the report as error.validation
+ *          logPath - where the log is written (defaults to update_log.json / update_plan.json)
+ *          resume - path of a previous update log; completed rows are skipped and kept in the new log,
+ *                   so their snapshots survive for undo
+ *          signal - AbortSignal that cancels the run: rows in progress finish, the rest are not started
+ *          onResult - receives each row's result as soon as the row finishes
  */
-export async function processUpdateCsvFile(csvPath, progressCallback = null, clientId = null) {
+export async function processUpdateCsvFile(csvPath, progressCallback = null, clientId = null, options = {}) {
   logResults = [];
   startTime = Date.now();
 
   // Get client configuration
   const clientConfig = getClientConfig(clientId);
   const clientApi = createApiInstance(clientConfig);
+  const runContext = {
+    dryRun: !!options.dryRun,
+    postType: options.postType || '',
+    sideloadImages: !!options.sideloadImages,
+    optimizeImages: options.optimizeImages ? getImageOptimizeOptions(clientConfig) : null,
+  };
+  const concurrency = parseInt(options.concurrency || clientConfig.concurrency, 10) || 1;
+  const resumeEntries = options.resume ? readImportLog(options.resume) : [];
 
   if (progressCallback) progressCallback({ type: 'info', message: `🔍 Checking WordPress REST API connectivity for ${clientConfig.name}...` });
   const isConnected = await checkConnectivityWithApi(clientApi, clientConfig.wp_site);
@@ -720,22 +678,53 @@ export async function processUpdateCsvFile(csvPath, progressCallback = null, cli
     throw new Error('CSV file is empty');
   }
   if (progressCallback) progressCallback({ type: 'info', message: `✅ Loaded ${rows.length} row(s)` });
-  if (progressCallback) progressCallback({ type: 'info', message: '📤 Starting update process...' });
 
-  for (let i = 0; i < rows.length; i++) {
-    const result = await updatePost(rows[i], i + 1, progressCallback, clientApi, clientConfig);
-    logResults.push(result);
+  // Pre-flight: refuse to start while any row has an error; dry runs carry on and return the report
+  let validation = null;
+  if (!options.skipValidation) {
+    validation = await validateRows(rows, { mode: 'update' });
+    if (!validation.valid && !runContext.dryRun) {
+      const error = new Error(`CSV has ${validation.errors.length} error(s); fix them before updating`);
+      error.validation = validation;
+      throw error;
+    }
+    if (progressCallback && !validation.valid) {
+      progressCallback({ type: 'error', message: `⚠️  ${validation.errors.length} validation error(s) - a real run would not start` });
+    }
+  }
+
+  if (progressCallback) progressCallback({ type: 'info', message: runContext.dryRun ? '🧪 Dry run: planning update without writing to WordPress...' : '📤 Starting update process...' });
+
+  // Rows an interrupted run completed (same rowNumber and title) are skipped; their entries stay in the log
+  const completed = new Map(
+    resumeEntries.filter(isCompletedEntry).map(entry => [entry.rowNumber, entry])
+  );
+  const pending = rows
+    .map((row, index) => ({ row, rowNumber: index + 1 }))
+    .filter(({ row, rowNumber }) => completed.get(rowNumber)?.title !== (row.title || 'Untitled'));
+  const skipped = rows.length - pending.length;
+  if (skipped > 0 && progressCallback) {
+    progressCallback({ type: 'info', message: `⏭️  Resuming: skipping ${skipped} row(s) already completed, processing ${pending.length}` });
   }
 
-  const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
-  const logPath = isVercel
-    ? path.join('/tmp', 'update_log.json')
-    : path.resolve(__dirname, 'update_log.json');
+  // The log is written as rows finish, so an interrupted run can be resumed from it
+  const logPath = options.logPath ? path.resolve(options.logPath) : getLogPath(runContext.dryRun ? 'update_plan.json' : 'update_log.json');
+  const logWriter = createLogWriter(logPath, runContext.dryRun ? [] : resumeEntries);
+
+  await runWithConcurrency(pending, concurrency, async ({ row, rowNumber }) => {
+    const result = await updatePost(row, rowNumber, progressCallback, clientApi, clientConfig, runContext);
+    logWriter.record(result);
+    if (options.onResult) options.onResult(result);
+    return result;
+  }, { signal: options.signal || null });
+  logResults = logWriter.entries();
+  const cancelled = !!options.signal?.aborted;
+  if (cancelled && progressCallback) {
+    progressCallback({ type: 'info', message: `🛑 Cancelled after ${logResults.length} of ${rows.length} row(s)` });
+  }
 
-  try {
-    fs.writeFileSync(logPath, JSON.stringify(logResults, null, 2));
-  } catch (error) {
-    console.warn('⚠️  Could not write log file:', error.message);
+  if (logWriter.writeFailed) {
+    // If writing failed (e.g., on Vercel), log to console instead
     console.log('📝 Log data:', JSON.stringify(logResults, null, 2));
   }
 
@@ -748,7 +737,11 @@ export async function processUpdateCsvFile(csvPath, progressCallback = null, cli
     total: rows.length,
     success: successCount,
     failed: failedCount,
+    skipped,
     duration: parseFloat(duration),
+    dryRun: runContext.dryRun,
+    cancelled,
+    validation,
     results: logResults,
     logPath: logPath
   };
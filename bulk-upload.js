@@ -1,11 +1,28 @@
-import axios from 'axios';
 import csv from 'csv-parser';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import mime from 'mime-types';
 import dotenv from 'dotenv';
 import readline from 'readline';
+import { parseArgs } from 'util';
+import { getClientConfig, getAvailableClients } from './lib/clients.js';
+import { checkImageSource } from './lib/dry-run.js';
+import { convertGoogleDriveUrl, uploadMediaItem, applyMediaDetails } from './lib/media.js';
+import { getMediaHashes } from './lib/media-hashes.js';
+import { getImageOptimizeOptions } from './lib/image-optimizer.js';
+import { sideloadContentImages, describeInlineImages } from './lib/inline-images.js';
+import { resolveTerms, planTerms, resolveTaxonomyColumns } from './lib/terms.js';
+import { resolvePostType, getRowPostType } from './lib/post-types.js';
+import { trackPendingPage, resolvePageAttributes } from './lib/pages.js';
+import { resolvePublishDate } from './lib/schedule.js';
+import { resolveRowAuthor } from './lib/authors.js';
+import { diffPostFields, snapshotFields, describeDiff } from './lib/post-diff.js';
+import { getNearDuplicateOptions, getSimilarityIndex, describeNearDuplicate, getDuplicatePolicy, parseDuplicatePolicy } from './lib/duplicates.js';
+import { runWithConcurrency } from './lib/worker-pool.js';
+import { validateRows, printValidationReport } from './lib/validate.js';
+import { createApiInstance, trackAttempts } from './lib/wp-api.js';
+import { readImportLog, isCompletedEntry, createLogWriter } from './lib/import-log.js';
+import { getPostIndex } from './lib/post-index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,70 +30,19 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config();
 
-/**
- * Parse and get client configuration
- * CTS-only mode: uses single-client configuration (WP_SITE, WP_USER, WP_APP_PASSWORD)
- */
-function getClientConfig(clientId = null) {
-  // CTS-only: Always use single-client configuration
-  return {
-    wp_site: process.env.WP_SITE?.replace(/\/$/, '') || '',
-    wp_user: process.env.WP_USER || '',
-    wp_app_password: process.env.WP_APP_PASSWORD || '',
-    default_status: process.env.DEFAULT_STATUS || 'draft',
-    request_delay_ms: parseInt(process.env.REQUEST_DELAY_MS || '300', 10),
-    name: 'CTS',
-  };
-}
-
-/**
- * Get all available clients
- * CTS-only mode: returns empty array (no client selection needed)
- */
-export function getAvailableClients() {
-  return [];
-}
-
 // Get default client config
-const defaultConfig = getClientConfig();
-const WP_SITE = defaultConfig.wp_site;
-const WP_USER = defaultConfig.wp_user;
-const WP_APP_PASSWORD = defaultConfig.wp_app_password;
-const CSV_PATH = process.env.CSV_PATH || 'posts.csv';
-const DEFAULT_STATUS = defaultConfig.default_status;
-const REQUEST_DELAY_MS = defaultConfig.request_delay_ms;
-
-// Validate required config
-if (!WP_SITE || !WP_USER || !WP_APP_PASSWORD) {
-  console.error('❌ Missing required environment variables: WP_SITE, WP_USER, WP_APP_PASSWORD (or CLIENTS_CONFIG)');
+let defaultConfig;
+try {
+  defaultConfig = getClientConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
 
-/**
- * Create axios instance with auth for a specific client
- */
-function createApiInstance(clientConfig) {
-  const auth = Buffer.from(`${clientConfig.wp_user}:${clientConfig.wp_app_password}`).toString('base64');
-  return axios.create({
-    baseURL: `${clientConfig.wp_site}/wp-json/wp/v2`,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-    },
-    timeout: 30000,
-  });
-}
+export { getAvailableClients };
 
 // Default API instance (for backward compatibility)
-const auth = Buffer.from(`${WP_USER}:${WP_APP_PASSWORD}`).toString('base64');
-const api = axios.create({
-  baseURL: `${WP_SITE}/wp-json/wp/v2`,
-  headers: {
-    'Authorization': `Basic ${auth}`,
-    'Content-Type': 'application/json',
-  },
-  timeout: 30000,
-});
+const api = createApiInstance(defaultConfig);
 
 // Logging
 let logResults = [];
@@ -110,13 +76,6 @@ console.error = function (...args) {
   originalError.apply(console, args);
 };
 
-/**
- * Sleep for specified milliseconds
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 /**
  * Prompt user for CSV file path
  */
@@ -164,13 +123,6 @@ async function loadCsv(filePath) {
   });
 }
 
-/**
- * Check WordPress REST API connectivity
- */
-async function checkConnectivity() {
-  return checkConnectivityWithApi(api, WP_SITE);
-}
-
 /**
  * Check WordPress REST API connectivity with specific API instance
  */
@@ -194,353 +146,36 @@ async function checkConnectivityWithApi(apiInstance, siteUrl) {
   }
 }
 
-/**
- * Get or create a taxonomy term (category or tag)
- */
-async function getOrCreateTerm(name, taxonomy = 'categories', apiInstance = api, clientConfig = null) {
-  if (!name || !name.trim()) return null;
-
-  const trimmedName = name.trim();
-  const currentApi = apiInstance || api;
-  const config = clientConfig || defaultConfig;
-
-  try {
-    // Search for existing term
-    const searchResponse = await currentApi.get(`/${taxonomy}`, {
-      params: { search: trimmedName, per_page: 100 },
-    });
-
-    const existing = searchResponse.data.find(
-      term => term.name.toLowerCase() === trimmedName.toLowerCase()
-    );
-
-    if (existing) {
-      return existing.id;
-    }
-
-    // Create new term
-    await sleep(config.request_delay_ms);
-    const createResponse = await currentApi.post(`/${taxonomy}`, {
-      name: trimmedName,
-    });
-
-    return createResponse.data.id;
-  } catch (error) {
-    console.error(`⚠️  Failed to get/create ${taxonomy} "${trimmedName}": ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Resolve multiple terms from comma-separated string
- */
-async function resolveTerms(termString, taxonomy, apiInstance = api, clientConfig = null) {
-  if (!termString || !termString.trim()) return [];
-
-  const names = termString.split(',').map(n => n.trim()).filter(Boolean);
-  const termIds = [];
-  const currentApi = apiInstance || api;
-  const config = clientConfig || defaultConfig;
-
-  for (const name of names) {
-    const id = await getOrCreateTerm(name, taxonomy, currentApi, config);
-    if (id) {
-      termIds.push(id);
-    }
-    await sleep(config.request_delay_ms);
-  }
-
-  return termIds;
-}
-
-/**
- * Download image from URL
- */
-async function downloadImageFromUrl(imageUrl) {
-  try {
-    const response = await axios.get(imageUrl, {
-      responseType: 'arraybuffer',
-      timeout: 30000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
-
-    const contentType = response.headers['content-type'];
-
-    // Check for HTML content (indicates error/login page)
-    if (contentType && contentType.includes('text/html')) {
-      console.warn(`⚠️  Downloaded content is HTML, not an image. This usually means the Google Drive link is private.`);
-      console.warn(`   URL: ${imageUrl}`);
-      console.warn(`   Action: Please change permissions to "Anyone with the link" on Google Drive.`);
-      return null;
-    }
-
-    let fileName = 'image.jpg';
-    const contentDisposition = response.headers['content-disposition'];
-
-    // Try to get filename from Content-Disposition
-    if (contentDisposition) {
-      const filenameMatch = contentDisposition.match(/filename="?([^"]+)"?/);
-      if (filenameMatch && filenameMatch[1]) {
-        fileName = filenameMatch[1];
-      }
-    } else {
-      // Fallback to URL path
-      const urlPath = new URL(imageUrl).pathname;
-      fileName = path.basename(urlPath) || 'image';
-    }
-
-    // Ensure filename has correct extension based on Content-Type
-    const extFromMime = mime.extension(contentType);
-    if (extFromMime) {
-      const currentExt = path.extname(fileName).replace('.', '');
-      if (currentExt !== extFromMime) {
-        // If no extension or wrong extension, append the correct one
-        if (!currentExt || currentExt === 'uc') { // 'uc' is common for GDrive export links
-          fileName = `${fileName}.${extFromMime}`;
-        } else {
-          // Replace extension
-          fileName = fileName.replace(new RegExp(`\\.${currentExt}$`), `.${extFromMime}`);
-        }
-      }
-    }
-
-    return {
-      buffer: Buffer.from(response.data),
-      mimeType: contentType || mime.lookup(imageUrl) || 'image/jpeg',
-      fileName: fileName,
-    };
-  } catch (error) {
-    console.error(`⚠️  Failed to download image from URL "${imageUrl}": ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Convert Google Drive URL to direct download URL
- */
-function convertGoogleDriveUrl(url) {
-  if (!url) return url;
-
-  // Check if it's a Google Drive URL
-  if (url.includes('drive.google.com')) {
-    // Try to extract the ID
-    // Matches /file/d/ID/view or /open?id=ID
-    const idMatch = url.match(/\/d\/([a-zA-Z0-9_-]+)/) || url.match(/id=([a-zA-Z0-9_-]+)/);
-
-    if (idMatch && idMatch[1]) {
-      const fileId = idMatch[1];
-      console.log(`   🔄 Converting Google Drive URL to direct link (ID: ${fileId})`);
-      return `https://drive.google.com/uc?export=download&id=${fileId}`;
-    }
-  }
-
-  return url;
-}
-
-/**
- * Upload featured image to WordPress media library (from local file or URL)
- */
-async function uploadMedia(filePathOrUrl, apiInstance = api) {
-  const currentApi = apiInstance || api;
-  if (!filePathOrUrl || !filePathOrUrl.trim()) return null;
-
-  let fileBuffer, fileName, mimeType;
-  let processedUrl = filePathOrUrl.trim();
-
-  // Check if it's a URL (starts with http:// or https://)
-  if (processedUrl.startsWith('http://') || processedUrl.startsWith('https://')) {
-    // Handle Google Drive URLs
-    processedUrl = convertGoogleDriveUrl(processedUrl);
-
-    // Download from URL
-    const downloaded = await downloadImageFromUrl(processedUrl);
-    if (!downloaded) return null;
-
-    fileBuffer = downloaded.buffer;
-    fileName = downloaded.fileName;
-    mimeType = downloaded.mimeType;
-  } else {
-    // Local file path
-    const fullPath = path.resolve(__dirname, processedUrl);
-
-    if (!fs.existsSync(fullPath)) {
-      console.error(`⚠️  Image file not found: ${fullPath}`);
-      return null;
-    }
-
-    fileBuffer = fs.readFileSync(fullPath);
-    fileName = path.basename(fullPath);
-    mimeType = mime.lookup(fullPath) || 'application/octet-stream';
-  }
-
-  try {
-    const config = defaultConfig;
-    await sleep(config.request_delay_ms);
-
-    const response = await currentApi.post('/media', fileBuffer, {
-      headers: {
-        'Content-Type': mimeType,
-        'Content-Disposition': `attachment; filename="${fileName}"`,
-      },
-      maxBodyLength: Infinity,
-      maxContentLength: Infinity,
-    });
-
-    return response.data.id;
-  } catch (error) {
-    console.error(`⚠️  Failed to upload media "${filePathOrUrl}": ${error.message}`);
-    if (error.response?.data) {
-      console.error(`   Error details: ${JSON.stringify(error.response.data)}`);
-    }
-    return null;
-  }
-}
-
-/**
- * Find existing post by slug
- */
-async function findPostBySlug(slug, apiInstance = api) {
-  if (!slug || !slug.trim()) return null;
-
-  const currentApi = apiInstance || api;
-
-  try {
-    const response = await currentApi.get('/posts', {
-      params: { slug: slug.trim(), per_page: 1 },
-    });
-
-    if (response.data && response.data.length > 0) {
-      return response.data[0].id;
-    }
-
-    return null;
-  } catch (error) {
-    console.error(`⚠️  Failed to search for post by slug "${slug}": ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Find existing post by title
- */
-async function findPostByTitle(title, apiInstance = api) {
-  const currentApi = apiInstance || api;
-  if (!title || !title.trim()) return null;
-
-  try {
-    // Normalize title for comparison (remove HTML entities, trim, lowercase)
-    const normalizeTitle = (str) => {
-      if (!str) return '';
-      // Remove HTML entities and tags, then normalize
-      // Handle common HTML entities first, then remove any remaining
-      return str
-        .replace(/<[^>]*>/g, '') // Remove HTML tags
-        .replace(/&nbsp;/g, ' ') // Replace &nbsp; with space
-        .replace(/&amp;/g, '&') // Replace &amp; with &
-        .replace(/&quot;/g, '"') // Replace &quot; with "
-        .replace(/&#8217;/g, "'") // Replace &#8217; (right single quotation) with '
-        .replace(/&#8216;/g, "'") // Replace &#8216; (left single quotation) with '
-        .replace(/&#39;/g, "'") // Replace &#39; with '
-        .replace(/&#038;/g, '&') // Replace &#038; with &
-        .replace(/&[^;]+;/g, '') // Remove any other HTML entities
-        .replace(/\s+/g, ' ') // Normalize whitespace
-        .toLowerCase()
-        .trim();
-    };
-
-    const normalizedSearchTitle = normalizeTitle(title);
-    console.log(`🔍 Searching for duplicate. Normalized title: "${normalizedSearchTitle}"`);
-
-    // Paginate through ALL posts (including drafts) to check for duplicates
-    // WordPress search API might not return drafts, so we check all posts directly
-    let page = 1;
-    const perPage = 100;
-    let hasMore = true;
-    let totalChecked = 0;
-
-    while (hasMore) {
-      const response = await currentApi.get('/posts', {
-        params: {
-          per_page: perPage,
-          page: page,
-          status: 'any', // Include all statuses: publish, draft, private, pending, future
-          orderby: 'date',
-          order: 'desc'
-        },
-      });
-
-      if (!response.data || response.data.length === 0) {
-        hasMore = false;
-        break;
-      }
-
-      totalChecked += response.data.length;
-      console.log(`🔍 Checking page ${page}, ${response.data.length} posts (total checked: ${totalChecked})`);
-
-      // Check each post in this page
-      for (const post of response.data) {
-        // Try multiple ways to get the title
-        const postTitleRaw = post.title?.rendered || post.title?.raw || post.title || '';
-        const postTitleNormalized = normalizeTitle(postTitleRaw);
-
-        // Debug: log posts that might match (to reduce noise but still catch issues)
-        const isMatch = postTitleNormalized === normalizedSearchTitle;
-        const mightMatch = postTitleNormalized.includes('weekend brunch') ||
-          postTitleNormalized.includes('nafisa') ||
-          postTitleRaw.toLowerCase().includes('weekend brunch');
-
-        if (isMatch || mightMatch) {
-          console.log(`  📝 Post ID ${post.id} (${post.status}): "${postTitleRaw}"`);
-          console.log(`     Normalized: "${postTitleNormalized}"`);
-          console.log(`     Search for: "${normalizedSearchTitle}"`);
-          console.log(`     Match: ${isMatch ? '✅ YES - DUPLICATE FOUND!' : '❌ NO'}`);
-        }
-
-        if (isMatch) {
-          console.log(`✅ FOUND DUPLICATE! Post ID ${post.id} (status: ${post.status}) has matching title: "${postTitleRaw}"`);
-          return post.id;
-        }
-      }
-
-      // If we got fewer posts than requested, we've reached the end
-      if (response.data.length < perPage) {
-        hasMore = false;
-      } else {
-        page++;
-        // Limit to first 10 pages (1000 posts) to avoid infinite loops
-        if (page > 10) {
-          console.log(`⚠️  Reached 1000 post limit. Stopping search.`);
-          hasMore = false;
-        }
-      }
-    }
-
-    console.log(`✅ No duplicate found after checking ${totalChecked} posts`);
-    return null;
-  } catch (error) {
-    console.error(`⚠️  Failed to search for post by title "${title}": ${error.message}`);
-    // Don't throw - return null so we can continue processing other posts
-    return null;
-  }
-}
-
 /**
  * Create or update a post
+ * The post type comes from the row's post_type column or runContext.postType (defaults to "post").
+ * With runContext.sideloadImages, remote <img> sources in the content are moved to the media library.
+ * runContext.onDuplicate (or the row's on_duplicate column) decides what a row with an existing title does, see DUPLICATE_POLICIES.
+ * runContext.nearDuplicates decides whether a row similar to an existing post is flagged (result.nearDuplicates) or fails.
+ * With runContext.dryRun, only reads from WordPress and records the planned action in result.plan.
  */
-async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiInstance = api, clientConfig = null) {
-  // Use provided API instance or default
-  const currentApi = apiInstance || api;
+async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiInstance = api, clientConfig = null, runContext = {}) {
   const config = clientConfig || defaultConfig;
+  const dryRun = !!runContext.dryRun;
   const result = {
     rowNumber,
     title: row.title || 'Untitled',
     action: null,
     postId: null,
+    postType: null,
     status: null,
     error: null,
+    attempts: 0,
+    retries: 0,
   };
+  // Use provided API instance or default; every request (including retries) is counted on the result
+  const currentApi = trackAttempts(apiInstance || api, result);
+  const plan = dryRun ? { newCategories: [], newTags: [], newTerms: {}, featuredImage: null } : null;
+  let postIndex = null;
+  let titleReserved = false;
+  let similarityIndex = null;
+  // Later rows may name this row's page as their parent
+  const pageSettled = trackPendingPage(row, rowNumber, runContext);
 
   try {
     // Validate required fields
@@ -551,6 +186,10 @@ async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiIn
       throw new Error('Missing required field: content');
     }
 
+    const postType = await resolvePostType(getRowPostType(row, runContext), currentApi, runContext);
+    const typeLabel = postType.slug === 'post' ? 'post' : postType.slug;
+    result.postType = postType.slug;
+
     // Prepare post data
     const postData = {
       title: row.title.trim(),
@@ -566,6 +205,95 @@ async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiIn
       postData.excerpt = row.excerpt.trim();
     }
 
+    // Same title as an existing post or an earlier row: on_duplicate decides (fail, skip, update-existing, create-anyway)
+    // Checked before any image or term is uploaded, so skipped and failed rows leave nothing behind
+    const onDuplicate = getDuplicatePolicy(row, runContext.onDuplicate);
+    result.onDuplicate = onDuplicate;
+    console.log(`[${rowNumber}] 🔍 Checking for duplicate post with title: "${postData.title}"`);
+    postIndex = await getPostIndex(runContext, apiInstance || api, postType.restBase);
+    let duplicateTargetId = null;
+    let duplicate = null;
+    const existingPostByTitle = postIndex.findByTitle(postData.title);
+    if (existingPostByTitle) {
+      result.duplicateOf = { postId: existingPostByTitle.id };
+      duplicate = `Post with title "${postData.title}" already exists (ID: ${existingPostByTitle.id})`;
+      if (onDuplicate === 'update-existing') duplicateTargetId = existingPostByTitle.id;
+    } else if (onDuplicate !== 'create-anyway') {
+      const earlierRow = postIndex.reserveTitle(postData.title, rowNumber);
+      if (earlierRow !== null) {
+        result.duplicateOf = { rowNumber: earlierRow };
+        duplicate = `Post with title "${postData.title}" already appears in row ${earlierRow} of this CSV`;
+        if (onDuplicate === 'update-existing') {
+          // The earlier row's post may still be on its way; only a dry run can say what would happen
+          if (!dryRun) {
+            throw new Error(`${duplicate}, whose post is still being created. Process one row at a time so this row can update it (--concurrency 1 on the command line; for the web interface, set CONCURRENCY=1 or the client's concurrency to 1).`);
+          }
+          plan.updatesRow = earlierRow;
+        }
+      } else {
+        titleReserved = true;
+      }
+    }
+
+    if (!duplicate) {
+      console.log(`[${rowNumber}] ✅ No duplicate found for title: "${postData.title}"`);
+    } else if (onDuplicate === 'fail') {
+      const errorMsg = `${duplicate}. Duplicate posts are not allowed (set on_duplicate to skip, update-existing or create-anyway to change this).`;
+      console.error(`[${rowNumber}] ⚠️  DUPLICATE DETECTED: ${errorMsg}`);
+      throw new Error(errorMsg);
+    } else if (onDuplicate === 'skip') {
+      result.action = dryRun ? 'would-skip' : 'skipped';
+      result.postId = existingPostByTitle?.id || null;
+      result.status = existingPostByTitle?.status || null;
+      const message = `[${rowNumber}] ⏭️  ${result.action} ${typeLabel}: ${result.title} (${duplicate})`;
+      console.log(message);
+      if (progressCallback) progressCallback({ type: 'info', message, rowNumber, postId: result.postId, title: result.title });
+      return result;
+    } else {
+      console.log(`[${rowNumber}] ♻️  ${duplicate}; on_duplicate is ${onDuplicate}`);
+    }
+
+    // Same title: the policy's target post, else an existing post with the row's slug (idempotency)
+    const existingPostId = duplicateTargetId || (postData.slug ? (postIndex.findBySlug(postData.slug)?.id || null) : null);
+
+    // Near-duplicates (similar title words or content, see lib/duplicates.js) are flagged, or fail the row in block mode;
+    // like on_duplicate, this runs before any image or term is uploaded
+    const nearDuplicates = runContext.nearDuplicates;
+    if (nearDuplicates && nearDuplicates.mode !== 'off') {
+      similarityIndex = await getSimilarityIndex(runContext, apiInstance || api, postType.restBase);
+      const matches = similarityIndex.findSimilar(postData.title, postData.content, nearDuplicates, { rowNumber })
+        .filter(match => !existingPostId || match.postId !== existingPostId)
+        // The exact-title duplicate was already handled by on_duplicate
+        .filter(match => !result.duplicateOf || (match.postId ? match.postId !== result.duplicateOf.postId : match.rowNumber !== result.duplicateOf.rowNumber));
+      if (matches.length > 0) {
+        result.nearDuplicates = matches;
+        const summary = `Near-duplicate of ${describeNearDuplicate(matches[0])}${matches.length > 1 ? ` and ${matches.length - 1} more` : ''}`;
+        if (nearDuplicates.mode === 'block') {
+          throw new Error(`${summary}. Near-duplicate posts are blocked (use --near-duplicates warn to allow them).`);
+        }
+        const message = `[${rowNumber}] ⚠️  ${summary}`;
+        console.warn(message);
+        if (progressCallback) progressCallback({ type: 'info', message, rowNumber, title: result.title });
+      }
+      similarityIndex.add(postData.title, postData.content, rowNumber);
+    }
+
+    // Publish date from publish_at / date (site timezone unless the value has an offset);
+    // a future date schedules a "publish" row, a past one backdates it
+    const publishDate = await resolvePublishDate(row, postData.status, currentApi, config.wp_site, runContext);
+    if (publishDate) {
+      Object.assign(postData, publishDate.fields);
+      if (dryRun) plan.date = publishDate.local;
+    }
+    const scheduledNote = publishDate?.scheduled ? ` (scheduled for ${publishDate.local})` : '';
+
+    // Author from the author column (login, email, display name or user ID), else the client's default_author
+    const author = await resolveRowAuthor(row, config, currentApi, runContext, { useDefault: true });
+    if (author) {
+      postData.author = author.id;
+      result.author = author;
+    }
+
     // Handle ACF JSON
     if (row.acf_json?.trim()) {
       try {
@@ -576,28 +304,66 @@ async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiIn
       }
     }
 
-    // Resolve categories
+    // Page attributes: parent (ID, slug or slug path), menu_order, template
+    const pageAttributes = await resolvePageAttributes(row, postType, currentApi, runContext, rowNumber);
+    Object.assign(postData, pageAttributes.fields);
+    if (dryRun && pageAttributes.parentRow) {
+      plan.parentRow = pageAttributes.parentRow;
+    }
+
+    // Resolve categories (dry run: look up only, record the ones that would be created)
     if (row.categories?.trim()) {
-      const categoryIds = await resolveTerms(row.categories, 'categories', currentApi, config);
-      if (categoryIds.length > 0) {
-        postData.categories = categoryIds;
+      if (dryRun) {
+        const termPlan = await planTerms(row.categories, 'categories', currentApi, runContext);
+        plan.newCategories = termPlan.toCreate;
+      } else {
+        const categoryIds = await resolveTerms(row.categories, 'categories', currentApi, runContext);
+        if (categoryIds.length > 0) {
+          postData.categories = categoryIds;
+        }
       }
     }
 
     // Resolve tags
     if (row.tags?.trim()) {
-      const tagIds = await resolveTerms(row.tags, 'tags', currentApi, config);
-      if (tagIds.length > 0) {
-        postData.tags = tagIds;
+      if (dryRun) {
+        const termPlan = await planTerms(row.tags, 'tags', currentApi, runContext);
+        plan.newTags = termPlan.toCreate;
+      } else {
+        const tagIds = await resolveTerms(row.tags, 'tags', currentApi, runContext);
+        if (tagIds.length > 0) {
+          postData.tags = tagIds;
+        }
+      }
+    }
+
+    // Resolve custom taxonomy columns (tax:<taxonomy>)
+    const taxonomyTerms = await resolveTaxonomyColumns(row, postType, currentApi, runContext);
+    if (dryRun) {
+      Object.assign(plan.newTerms, taxonomyTerms.toCreate);
+    } else {
+      for (const [restBase, termIds] of Object.entries(taxonomyTerms.terms)) {
+        postData[restBase] = [...new Set([...(postData[restBase] || []), ...termIds])];
       }
     }
 
     // Upload featured image if provided (supports both local path and URL)
+    // Alt text, caption and title come from the featured_image_* columns, alt text and title default to the post title
     const imagePath = row.featured_image_path?.trim() || row.featured_image_url?.trim();
     if (imagePath) {
-      const mediaId = await uploadMedia(imagePath, currentApi);
-      if (mediaId) {
-        postData.featured_media = mediaId;
+      if (dryRun) {
+        const imageSource = /^https?:\/\//.test(imagePath) ? convertGoogleDriveUrl(imagePath) : imagePath;
+        plan.featuredImage = await checkImageSource(imageSource);
+      } else {
+        const media = await uploadMediaItem(imagePath, currentApi, {
+          mediaHashes: getMediaHashes(runContext, config.wp_site),
+          optimize: runContext.optimizeImages,
+        });
+        if (media) {
+          postData.featured_media = media.id;
+          if (media.optimization) result.featuredImageOptimization = media.optimization;
+          await applyMediaDetails(media, row, postData.title, currentApi);
+        }
       }
     }
 
@@ -635,42 +401,69 @@ async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiIn
       }
     }
 
-    // Check for existing post by title first (prevent duplicates)
-    // This check happens BEFORE creating the post to prevent duplicate creation
-    console.log(`[${rowNumber}] 🔍 Checking for duplicate post with title: "${postData.title}"`);
-    const existingPostByTitle = await findPostByTitle(postData.title, currentApi);
-    if (existingPostByTitle) {
-      const errorMsg = `Post with title "${postData.title}" already exists (ID: ${existingPostByTitle}). Duplicate posts are not allowed.`;
-      console.error(`[${rowNumber}] ⚠️  DUPLICATE DETECTED: ${errorMsg}`);
-      throw new Error(errorMsg);
+    // Upload remote <img> sources in the content once each and point the content at the attachments
+    if (runContext.sideloadImages) {
+      const inline = await sideloadContentImages(postData.content, config.wp_site, currentApi, runContext);
+      postData.content = inline.content;
+      if (dryRun) {
+        plan.inlineImages = inline.images;
+      } else {
+        result.inlineImages = inline.images;
+      }
+      if (inline.images.length > 0) {
+        console.log(`[${rowNumber}] 🖼️  ${describeInlineImages(inline.images, dryRun)}`);
+      }
     }
-    console.log(`[${rowNumber}] ✅ No duplicate found for title: "${postData.title}"`);
 
-    // Check for existing post by slug (idempotency)
-    let existingPostId = null;
-    if (postData.slug) {
-      existingPostId = await findPostBySlug(postData.slug, currentApi);
+    // Dry run: report what would happen and stop before any write
+    if (dryRun) {
+      result.action = existingPostId || plan.updatesRow ? 'would-update' : 'would-create';
+      result.postId = existingPostId;
+      result.status = postData.status;
+      result.plan = plan;
+      const notes = [
+        plan.newCategories.length ? `new categories: ${plan.newCategories.join(', ')}` : null,
+        plan.newTags.length ? `new tags: ${plan.newTags.join(', ')}` : null,
+        ...Object.entries(plan.newTerms).map(([restBase, names]) => `new ${restBase}: ${names.join(', ')}`),
+        plan.parentRow ? `parent created by row ${plan.parentRow}` : null,
+        plan.updatesRow ? `updates the post created by row ${plan.updatesRow}` : null,
+        result.duplicateOf && !plan.updatesRow ? `same title as ${result.duplicateOf.postId ? `${typeLabel} ${result.duplicateOf.postId}` : `row ${result.duplicateOf.rowNumber}`}, on_duplicate ${onDuplicate}` : null,
+        result.nearDuplicates ? `near-duplicate of ${describeNearDuplicate(result.nearDuplicates[0])}` : null,
+        plan.date ? `${result.status === 'future' ? 'scheduled for' : 'dated'} ${plan.date}` : null,
+        author ? `author ${author.name}${author.fallback ? ' (default, named author not found)' : ''}` : null,
+        plan.featuredImage && !plan.featuredImage.reachable ? `image unreachable: ${plan.featuredImage.detail}` : null,
+        plan.inlineImages?.length ? describeInlineImages(plan.inlineImages, true) : null,
+      ].filter(Boolean);
+      const message = `[${rowNumber}] 🧪 ${result.action}${existingPostId ? ` ${typeLabel} ${existingPostId}` : ''}: ${result.title}${notes.length ? ` (${notes.join('; ')})` : ''}`;
+      console.log(message);
+      if (progressCallback) progressCallback({ type: 'info', message, rowNumber, postId: result.postId, title: result.title });
+      return result;
     }
 
     // Create or update
-    await sleep(config.request_delay_ms);
-
     if (existingPostId) {
-      // Update existing post
-      const updateResponse = await currentApi.post(`/posts/${existingPostId}`, postData);
+      // Update existing post; the field diff is reported and the values it overwrites are logged so the run can be undone
+      const existingResponse = await currentApi.get(`/${postType.restBase}/${existingPostId}`, { params: { context: 'edit' } });
+      const diff = diffPostFields(existingResponse.data, postData);
+      result.changes = diff.changes;
+      result.unchanged = diff.unchanged;
+      result.snapshot = snapshotFields(existingResponse.data, postData);
+      const updateResponse = await currentApi.post(`/${postType.restBase}/${existingPostId}`, postData);
+      postIndex.add(updateResponse.data);
       result.action = 'updated';
       result.postId = updateResponse.data.id;
       result.status = updateResponse.data.status;
-      const message = `[${rowNumber}] ✅ updated post ${result.postId}: ${result.title}`;
+      const message = `[${rowNumber}] ✅ updated ${typeLabel} ${result.postId}: ${result.title} (${describeDiff(diff)})${scheduledNote}`;
       console.log(message);
       if (progressCallback) progressCallback({ type: 'success', message, rowNumber, postId: result.postId, title: result.title });
     } else {
       // Create new post
-      const createResponse = await currentApi.post('/posts', postData);
+      const createResponse = await currentApi.post(`/${postType.restBase}`, postData);
+      postIndex.add(createResponse.data);
       result.action = 'created';
       result.postId = createResponse.data.id;
       result.status = createResponse.data.status;
-      const message = `[${rowNumber}] ✅ created post ${result.postId}: ${result.title}`;
+      const message = `[${rowNumber}] ✅ created ${typeLabel} ${result.postId}: ${result.title}${scheduledNote}`;
       console.log(message);
       if (progressCallback) progressCallback({ type: 'success', message, rowNumber, postId: result.postId, title: result.title });
     }
@@ -679,29 +472,144 @@ async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiIn
     if (error.response?.data) {
       result.error = `${error.message}: ${JSON.stringify(error.response.data)}`;
     }
+    if (plan) result.plan = plan;
+    // Let a later row with the same title try again (dry runs keep the claim to flag in-CSV duplicates)
+    if (titleReserved && !dryRun) postIndex.releaseTitle(row.title.trim(), rowNumber);
+    if (similarityIndex && !dryRun) similarityIndex.remove(rowNumber);
     const errorMessage = `[${rowNumber}] ❌ failed: ${result.title} - ${result.error}`;
     console.error(errorMessage);
     if (progressCallback) progressCallback({ type: 'error', message: errorMessage, rowNumber, title: result.title, error: result.error });
+  } finally {
+    pageSettled(!result.error);
   }
 
   return result;
 }
 
+/**
+ * Resolve a log file path
+ * Use /tmp on Vercel (serverless), or __dirname for local development
+ */
+function getLogPath(fileName) {
+  const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+  return isVercel
+    ? path.join('/tmp', fileName)
+    : path.resolve(__dirname, fileName);
+}
+
+/**
+ * Run rows through the worker pool and record each result in the log as soon as it finishes
+ * With resumeEntries, rows the previous run completed (same rowNumber and title) are skipped.
+ * Once signal aborts, rows not yet started are left out; onResult receives each row's result as it is logged.
+ */
+async function runImport(rows, { clientApi, clientConfig, runContext, concurrency, logPath, resumeEntries = [], progressCallback = null, signal = null, onResult = null }) {
+  const completed = new Map(
+    resumeEntries.filter(isCompletedEntry).map(entry => [entry.rowNumber, entry])
+  );
+  const isDone = (row, rowNumber) => completed.get(rowNumber)?.title === (row.title || 'Untitled');
+
+  const pending = rows
+    .map((row, index) => ({ row, rowNumber: index + 1 }))
+    .filter(({ row, rowNumber }) => !isDone(row, rowNumber));
+  const skipped = rows.length - pending.length;
+
+  if (skipped > 0) {
+    const message = `⏭️  Resuming: skipping ${skipped} row(s) already completed, processing ${pending.length}`;
+    console.log(message);
+    if (progressCallback) progressCallback({ type: 'info', message });
+  }
+
+  // Dry runs never touch the resumed log; failed rows from it are replaced by their new result
+  const logWriter = createLogWriter(logPath, runContext.dryRun ? [] : resumeEntries);
+
+  await runWithConcurrency(pending, concurrency, async ({ row, rowNumber }) => {
+    const result = await createOrUpdatePost(row, rowNumber, progressCallback, clientApi, clientConfig, runContext);
+    logWriter.record(result);
+    if (onResult) onResult(result);
+    return result;
+  }, { signal });
+
+  return { results: logWriter.entries(), skipped, logWriter };
+}
+
 /**
  * Main execution
  */
 async function main() {
+  // Parse CLI options: [csvPath] [--client <id>] [--dry-run] [--concurrency <n>] [--resume <log>] [--post-type <type>] [--sideload-images] [--optimize-images] [--near-duplicates off|warn|block] [--on-duplicate <policy>] [--skip-validation]
+  const { values: args, positionals } = parseArgs({
+    options: {
+      client: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      concurrency: { type: 'string' },
+      resume: { type: 'string' },
+      'post-type': { type: 'string' },
+      'sideload-images': { type: 'boolean', default: false },
+      'optimize-images': { type: 'boolean', default: false },
+      'near-duplicates': { type: 'string' },
+      'on-duplicate': { type: 'string' },
+      'skip-validation': { type: 'boolean', default: false },
+    },
+    allowPositionals: true,
+  });
+
+  const clientConfig = getClientConfig(args.client || null);
+  const clientApi = createApiInstance(clientConfig);
+  const runContext = {
+    dryRun: args['dry-run'],
+    postType: args['post-type'] || '',
+    sideloadImages: args['sideload-images'],
+    optimizeImages: args['optimize-images'] ? getImageOptimizeOptions(clientConfig) : null,
+    nearDuplicates: getNearDuplicateOptions(clientConfig, args['near-duplicates']),
+    onDuplicate: parseDuplicatePolicy(args['on-duplicate']) || 'fail',
+  };
+  const concurrency = parseInt(args.concurrency || clientConfig.concurrency, 10) || 1;
+
   console.log('🚀 WordPress Bulk Uploader\n');
-  console.log(`Site: ${WP_SITE}`);
-  console.log(`Default Status: ${DEFAULT_STATUS}`);
-  console.log(`Request Delay: ${REQUEST_DELAY_MS}ms`);
+  console.log(`Client: ${clientConfig.name}`);
+  console.log(`Site: ${clientConfig.wp_site}`);
+  console.log(`Default Status: ${clientConfig.default_status}`);
+  console.log(`Request Delay: ${clientConfig.request_delay_ms}ms`);
+  console.log(`Concurrency: ${concurrency}`);
+  if (runContext.postType) {
+    console.log(`Post Type: ${runContext.postType} (rows with a post_type column override it)`);
+  }
+  if (runContext.sideloadImages) {
+    console.log('Inline Images: remote <img> sources will be uploaded to the media library');
+  }
+  if (runContext.optimizeImages) {
+    const { maxWidth, quality, webp } = runContext.optimizeImages;
+    console.log(`Image Optimization: max width ${maxWidth}px, quality ${quality}${webp ? ', WebP' : ''}, metadata stripped`);
+  }
+  if (runContext.nearDuplicates.mode !== 'off') {
+    const { mode, titleThreshold, contentThreshold } = runContext.nearDuplicates;
+    console.log(`Near-duplicates: ${mode} (title words ≥ ${Math.round(titleThreshold * 100)}% or content ≥ ${Math.round(contentThreshold * 100)}% alike)`);
+  }
+  if (runContext.onDuplicate !== 'fail') {
+    console.log(`On Duplicate Title: ${runContext.onDuplicate} (rows with an on_duplicate column override it)`);
+  }
+  if (runContext.dryRun) {
+    console.log('🧪 Dry run: nothing will be written to WordPress');
+  }
+
+  // Load the log of the interrupted run before doing anything else
+  let resumeEntries = [];
+  if (args.resume) {
+    try {
+      resumeEntries = readImportLog(args.resume);
+      console.log(`Resume: ${args.resume} (${resumeEntries.filter(isCompletedEntry).length} completed row(s))`);
+    } catch (error) {
+      console.error(`❌ Cannot resume: ${error.message}`);
+      process.exit(1);
+    }
+  }
 
   // Get CSV path: command-line argument > interactive prompt (with env as suggestion) > default
   let csvPath;
 
   // If command-line argument provided, use it directly (skip prompt)
-  if (process.argv[2]) {
-    csvPath = process.argv[2];
+  if (positionals[0]) {
+    csvPath = positionals[0];
     console.log(`\nCSV: ${csvPath} (from command-line argument)`);
   } else {
     // Always prompt for file path, showing env variable as suggestion if it exists
@@ -711,7 +619,7 @@ async function main() {
   }
 
   // Check connectivity
-  const isConnected = await checkConnectivity();
+  const isConnected = await checkConnectivityWithApi(clientApi, clientConfig.wp_site);
   if (!isConnected) {
     process.exit(1);
   }
@@ -728,6 +636,7 @@ async function main() {
     console.error(`   - Use absolute path: C:\\Users\\YourName\\Documents\\file.csv`);
     console.error(`   - Use relative path: posts.csv (from script directory)`);
     console.error(`   - Or pass as argument: npm run upload "C:\\path\\to\\file.csv"`);
+    console.error(`   - Pick a client: npm run upload -- --client <id> posts.csv`);
     process.exit(1);
   }
 
@@ -736,20 +645,26 @@ async function main() {
     process.exit(0);
   }
 
-  // Process each row
-  console.log('📤 Starting upload process...\n');
-  for (let i = 0; i < rows.length; i++) {
-    const result = await createOrUpdatePost(rows[i], i + 1, null, api, defaultConfig);
-    logResults.push(result);
+  // Pre-flight: a real run doesn't start while any row has an error (dry runs only report them)
+  if (!args['skip-validation']) {
+    const report = await validateRows(rows, { onDuplicate: runContext.onDuplicate });
+    if (report.errors.length > 0 || report.warnings.length > 0) {
+      printValidationReport(report);
+      console.log('');
+    }
+    if (!report.valid && !runContext.dryRun) {
+      console.error('💡 Fix the rows above (or pass --skip-validation to upload anyway)');
+      process.exit(1);
+    }
   }
 
-  // Write log file
-  // Use /tmp on Vercel (serverless), or __dirname for local development
-  const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
-  const logPath = isVercel
-    ? path.join('/tmp', 'import_log.json')
-    : path.resolve(__dirname, 'import_log.json');
-  fs.writeFileSync(logPath, JSON.stringify(logResults, null, 2));
+  // Process each row (dry runs write a separate plan so import_log.json keeps the last real run)
+  console.log(runContext.dryRun ? '🧪 Planning upload...\n' : '📤 Starting upload process...\n');
+  const logPath = runContext.dryRun
+    ? getLogPath('import_plan.json')
+    : (args.resume ? path.resolve(args.resume) : getLogPath('import_log.json'));
+  const run = await runImport(rows, { clientApi, clientConfig, runContext, concurrency, logPath, resumeEntries });
+  logResults = run.results;
   console.log(`\n📝 Log written to: ${logPath}`);
 
   // Summary
@@ -761,7 +676,17 @@ async function main() {
   console.log('\n' + '='.repeat(50));
   console.log('📊 Summary');
   console.log('='.repeat(50));
-  console.log(`✅ Success: ${successCount}`);
+  if (runContext.dryRun) {
+    console.log(`🆕 Would create: ${logResults.filter(r => r.action === 'would-create').length}`);
+    console.log(`✏️  Would update: ${logResults.filter(r => r.action === 'would-update').length}`);
+    console.log(`⏭️  Would skip (duplicate title): ${logResults.filter(r => r.action === 'would-skip').length}`);
+  } else {
+    console.log(`✅ Success: ${successCount}`);
+    console.log(`⏭️  Skipped (duplicate title): ${logResults.filter(r => r.action === 'skipped').length}`);
+  }
+  if (run.skipped > 0) {
+    console.log(`⏭️  Skipped (already done): ${run.skipped}`);
+  }
   console.log(`❌ Failed: ${failedCount}`);
   console.log(`⏱️  Total Time: ${duration}s`);
   console.log('='.repeat(50) + '\n');
@@ -771,8 +696,23 @@ async function main() {
 
 /**
  * Process CSV file (exported for use by web server)
+ * Options: dryRun - resolve and report the plan for each row without writing to WordPress
+ *          concurrency - rows processed in parallel (defaults to the client's CONCURRENCY)
+ *          resume - path of a previous import_log.json; completed rows are skipped and the log is appended to
+ *          postType - default post type for rows without a post_type column
+ *          sideloadImages - upload remote <img> sources in the content and rewrite them to the attachments
+ *          optimizeImages - resize/re-encode images before upload (IMAGE_MAX_WIDTH, IMAGE_QUALITY, IMAGE_WEBP)
+ *          nearDuplicates - "off", "warn" or "block" rows similar to an existing post (defaults to the client's
+ *                           near_duplicates / NEAR_DUPLICATES, then "off")
+ *          onDuplicate - what a row with an existing title does: "fail" (default), "skip", "update-existing" or
+ *                        "create-anyway"; a row's on_duplicate column overrides it
+ *          skipValidation - start even when the CSV fails validation (see lib/validate.js); otherwise the
+ *                           thrown error carries the report as error.validation
+ *          logPath - where the log is written (defaults to import_log.json / import_plan.json, or the resumed log)
+ *          signal - AbortSignal that cancels the run: rows in progress finish, the rest are not started
+ *          onResult - receives each row's result as soon as the row finishes
  */
-export async function processCsvFile(csvPath, progressCallback = null, clientId = null) {
+export async function processCsvFile(csvPath, progressCallback = null, clientId = null, options = {}) {
   // Reset logging for new run
   logResults = [];
   startTime = Date.now();
@@ -780,10 +720,16 @@ export async function processCsvFile(csvPath, progressCallback = null, clientId
   // Get client configuration
   const clientConfig = getClientConfig(clientId);
   const clientApi = createApiInstance(clientConfig);
-
-  // Override the global api instance for this run
-  const originalApi = api;
-  Object.setPrototypeOf(clientApi, api);
+  const runContext = {
+    dryRun: !!options.dryRun,
+    postType: options.postType || '',
+    sideloadImages: !!options.sideloadImages,
+    optimizeImages: options.optimizeImages ? getImageOptimizeOptions(clientConfig) : null,
+    nearDuplicates: getNearDuplicateOptions(clientConfig, options.nearDuplicates),
+    onDuplicate: parseDuplicatePolicy(options.onDuplicate) || 'fail',
+  };
+  const concurrency = parseInt(options.concurrency || clientConfig.concurrency, 10) || 1;
+  const resumeEntries = options.resume ? readImportLog(options.resume) : [];
 
   // Check connectivity
   if (progressCallback) progressCallback({ type: 'info', message: `🔍 Checking WordPress REST API connectivity for ${clientConfig.name}...` });
@@ -806,26 +752,41 @@ export async function processCsvFile(csvPath, progressCallback = null, clientId
     throw new Error('CSV file is empty');
   }
   if (progressCallback) progressCallback({ type: 'info', message: `✅ Loaded ${rows.length} row(s)` });
-  if (progressCallback) progressCallback({ type: 'info', message: '📤 Starting upload process...' });
 
-  // Process each row with client-specific config
-  for (let i = 0; i < rows.length; i++) {
-    const result = await createOrUpdatePost(rows[i], i + 1, progressCallback, clientApi, clientConfig);
-    logResults.push(result);
+  // Pre-flight: refuse to start while any row has an error; dry runs carry on and return the report
+  let validation = null;
+  if (!options.skipValidation) {
+    validation = await validateRows(rows, { onDuplicate: runContext.onDuplicate });
+    if (!validation.valid && !runContext.dryRun) {
+      const error = new Error(`CSV has ${validation.errors.length} error(s); fix them before uploading`);
+      error.validation = validation;
+      throw error;
+    }
+    if (progressCallback && !validation.valid) {
+      progressCallback({ type: 'error', message: `⚠️  ${validation.errors.length} validation error(s) - a real run would not start` });
+    }
   }
 
-  // Write log file
-  // Use /tmp on Vercel (serverless), or __dirname for local development
-  const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
-  const logPath = isVercel
-    ? path.join('/tmp', 'import_log.json')
-    : path.resolve(__dirname, 'import_log.json');
+  if (progressCallback) progressCallback({ type: 'info', message: runContext.dryRun ? '🧪 Dry run: planning upload without writing to WordPress...' : '📤 Starting upload process...' });
+
+  // Process each row with client-specific config (the log is written as rows finish)
+  let logPath = runContext.dryRun
+    ? getLogPath('import_plan.json')
+    : (options.resume ? path.resolve(options.resume) : getLogPath('import_log.json'));
+  if (options.logPath) logPath = path.resolve(options.logPath);
+  const run = await runImport(rows, {
+    clientApi, clientConfig, runContext, concurrency, logPath, resumeEntries, progressCallback,
+    signal: options.signal || null,
+    onResult: options.onResult || null,
+  });
+  logResults = run.results;
+  const cancelled = !!options.signal?.aborted;
+  if (cancelled && progressCallback) {
+    progressCallback({ type: 'info', message: `🛑 Cancelled after ${logResults.length} of ${rows.length} row(s)` });
+  }
 
-  try {
-    fs.writeFileSync(logPath, JSON.stringify(logResults, null, 2));
-  } catch (error) {
-    // If writing fails (e.g., on Vercel), log to console instead
-    console.warn('⚠️  Could not write log file:', error.message);
+  if (run.logWriter.writeFailed) {
+    // If writing failed (e.g., on Vercel), log to console instead
     console.log('📝 Log data:', JSON.stringify(logResults, null, 2));
   }
 
@@ -839,7 +800,11 @@ export async function processCsvFile(csvPath, progressCallback = null, clientId
     total: rows.length,
     success: successCount,
     failed: failedCount,
+    skipped: run.skipped,
     duration: parseFloat(duration),
+    dryRun: runContext.dryRun,
+    cancelled,
+    validation,
     results: logResults,
     logPath: logPath
   };
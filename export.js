@@ -0,0 +1,46 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { getClientConfig } from './lib/clients.js';
+import { createApiInstance } from './lib/wp-api.js';
+import { exportPosts } from './lib/export.js';
+
+dotenv.config();
+
+/**
+ * Write existing posts to a CSV the update script accepts:
+ * node export.js [outputPath] [--client <id>] [--post-type <type>] [--status publish,draft]
+ */
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    options: {
+      client: { type: 'string' },
+      'post-type': { type: 'string' },
+      status: { type: 'string' },
+    },
+    allowPositionals: true,
+  });
+
+  const clientConfig = getClientConfig(args.client || null);
+  const clientApi = createApiInstance(clientConfig);
+  const outputPath = path.resolve(positionals[0] || `export-${clientConfig.id}-${new Date().toISOString().slice(0, 10)}.csv`);
+
+  console.log('📤 WordPress Post Export\n');
+  console.log(`Client: ${clientConfig.name}`);
+  console.log(`Site: ${clientConfig.wp_site}`);
+  if (args['post-type']) console.log(`Post Type: ${args['post-type']}`);
+  if (args.status) console.log(`Status: ${args.status}`);
+  console.log('');
+
+  const { csv, count } = await exportPosts(clientApi, { postType: args['post-type'], status: args.status });
+  fs.writeFileSync(outputPath, csv);
+
+  console.log(`\n✅ Exported ${count} row(s) to ${outputPath}`);
+  console.log(`💡 Edit it and run: npm run update -- ${args.client ? `--client ${args.client} ` : ''}"${outputPath}"`);
+}
+
+main().catch(error => {
+  console.error('❌ Export failed:', error.message);
+  process.exit(1);
+});
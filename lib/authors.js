@@ -0,0 +1,111 @@
+/**
+ * Search /users for a login, email or display name
+ * context=edit exposes username and email but needs the list_users capability; without it the search
+ * falls back to the public view (display name and slug only).
+ */
+async function searchUsers(value, apiInstance, runContext) {
+  const params = { search: value, per_page: 100, _fields: 'id,name,slug,username,email' };
+
+  if (runContext.usersViewOnly) {
+    return (await apiInstance.get('/users', { params })).data || [];
+  }
+
+  try {
+    return (await apiInstance.get('/users', { params: { ...params, context: 'edit' } })).data || [];
+  } catch (error) {
+    if (error.response?.status !== 401 && error.response?.status !== 403) throw error;
+    console.warn('⚠️  This WordPress user cannot list users (list_users); authors are matched by display name or slug only');
+    runContext.usersViewOnly = true;
+    return (await apiInstance.get('/users', { params })).data || [];
+  }
+}
+
+/**
+ * An error for an author value that matches no user or more than one; these are final for the run
+ */
+function unresolvedAuthorError(message) {
+  const error = new Error(message);
+  error.unresolvedAuthor = true;
+  return error;
+}
+
+/**
+ * Look up one author value, once per run
+ * A number is taken as a user ID; anything else must match exactly one user's login, email, slug or
+ * display name (case-insensitive). Throws when nothing or more than one user matches.
+ */
+async function lookupAuthor(value, apiInstance, runContext) {
+  if (/^\d+$/.test(value)) {
+    try {
+      const response = await apiInstance.get(`/users/${value}`, { params: { _fields: 'id,name' } });
+      return { id: response.data.id, name: response.data.name };
+    } catch (error) {
+      if (error.response?.status === 404) throw unresolvedAuthorError(`Unknown author: no user with ID ${value}`);
+      throw error;
+    }
+  }
+
+  const wanted = value.toLowerCase();
+  const users = await searchUsers(value, apiInstance, runContext);
+  // Logins, emails and slugs are unique, so an exact match on one of them wins over display names
+  const byLogin = users.filter(user => [user.username, user.email, user.slug].some(field => field?.toLowerCase() === wanted));
+  const matches = byLogin.length > 0 ? byLogin : users.filter(user => user.name?.toLowerCase() === wanted);
+
+  if (matches.length === 0) {
+    throw unresolvedAuthorError(`Unknown author "${value}" (no user with that login, email or display name)`);
+  }
+  if (matches.length > 1) {
+    const ids = matches.map(user => user.id).join(', ');
+    throw unresolvedAuthorError(`Author "${value}" matches ${matches.length} users (IDs ${ids}); use the login or email instead`);
+  }
+
+  return { id: matches[0].id, name: matches[0].name };
+}
+
+/**
+ * Resolve an author value to { id, name } with a per-run cache (runContext.authors)
+ * Rows naming the same author share one lookup. An unknown or ambiguous author is remembered too, so each
+ * such name is searched once; any other failure (network, exhausted retries) is dropped so a later row tries again.
+ */
+export function resolveAuthor(value, apiInstance, runContext = {}) {
+  if (!runContext.authors) {
+    runContext.authors = new Map();
+  }
+
+  const key = value.trim().toLowerCase();
+  if (!runContext.authors.has(key)) {
+    const lookup = lookupAuthor(value.trim(), apiInstance, runContext);
+    // Keep the rejection from being reported as unhandled before a row awaits it
+    lookup.catch(error => {
+      if (!error.unresolvedAuthor && runContext.authors.get(key) === lookup) runContext.authors.delete(key);
+    });
+    runContext.authors.set(key, lookup);
+  }
+  return runContext.authors.get(key);
+}
+
+/**
+ * Work out the author of a row from its author column
+ * An unknown author falls back to the client's default_author when one is set (the row records
+ * fallback: true), otherwise the row fails. With useDefault, an empty column also gets default_author
+ * (new posts); without it, an empty column leaves the author alone (updates). Returns { id, name, fallback }
+ * or null when no author should be sent.
+ */
+export async function resolveRowAuthor(row, clientConfig, apiInstance, runContext = {}, { useDefault = false } = {}) {
+  const value = row.author?.trim();
+  const defaultAuthor = clientConfig.default_author ? String(clientConfig.default_author).trim() : '';
+
+  if (!value) {
+    if (!useDefault || !defaultAuthor) return null;
+    return { ...(await resolveAuthor(defaultAuthor, apiInstance, runContext)), fallback: false };
+  }
+
+  try {
+    return { ...(await resolveAuthor(value, apiInstance, runContext)), fallback: false };
+  } catch (error) {
+    if (!defaultAuthor || !error.unresolvedAuthor) throw error;
+    const author = await resolveAuthor(defaultAuthor, apiInstance, runContext);
+    console.warn(`⚠️  ${error.message}; using default author ${author.name} (ID ${author.id})`);
+    return { ...author, fallback: true };
+  }
+}
@@ -0,0 +1,160 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Load environment variables
+dotenv.config();
+
+const DEFAULT_CLIENTS_FILE = 'clients.json';
+
+/**
+ * Normalize a raw client entry into the config shape used by the scripts
+ */
+function normalizeClient(id, raw = {}) {
+  return {
+    id,
+    name: raw.name || id,
+    wp_site: (raw.wp_site || raw.site || '').replace(/\/$/, ''),
+    wp_user: raw.wp_user || raw.user || '',
+    wp_app_password: raw.wp_app_password || raw.app_password || '',
+    default_status: raw.default_status || process.env.DEFAULT_STATUS || 'draft',
+    // Login, email, display name or ID; used for rows without an author and as the fallback for unknown ones
+    default_author: raw.default_author || process.env.DEFAULT_AUTHOR || '',
+    request_delay_ms: parseInt(raw.request_delay_ms ?? process.env.REQUEST_DELAY_MS ?? '300', 10),
+    concurrency: parseInt(raw.concurrency ?? process.env.CONCURRENCY ?? '1', 10),
+    // Optional overrides; when unset, getRetryPolicy and getImageOptimizeOptions fall back to
+    // MAX_RETRIES / RETRY_* and IMAGE_* variables
+    max_retries: raw.max_retries,
+    retry_base_delay_ms: raw.retry_base_delay_ms,
+    retry_max_delay_ms: raw.retry_max_delay_ms,
+    image_max_width: raw.image_max_width,
+    image_quality: raw.image_quality,
+    image_webp: raw.image_webp,
+    // Near-duplicate check on upload (see getNearDuplicateOptions): NEAR_DUPLICATES / NEAR_DUPLICATE_*_THRESHOLD
+    near_duplicates: raw.near_duplicates,
+    near_duplicate_title_threshold: raw.near_duplicate_title_threshold,
+    near_duplicate_content_threshold: raw.near_duplicate_content_threshold,
+  };
+}
+
+/**
+ * Read the raw CLIENTS_CONFIG value
+ * Accepts inline JSON or a path to a JSON file; falls back to clients.json in the project root
+ */
+function readClientsSource() {
+  const value = process.env.CLIENTS_CONFIG?.trim();
+
+  if (value) {
+    if (value.startsWith('{') || value.startsWith('[')) {
+      return JSON.parse(value);
+    }
+
+    const filePath = path.isAbsolute(value) ? value : path.resolve(ROOT_DIR, value);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`CLIENTS_CONFIG file not found: ${filePath}`);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  }
+
+  const defaultFile = path.resolve(ROOT_DIR, DEFAULT_CLIENTS_FILE);
+  if (fs.existsSync(defaultFile)) {
+    return JSON.parse(fs.readFileSync(defaultFile, 'utf-8'));
+  }
+
+  return null;
+}
+
+/**
+ * Load the client registry
+ * Supports an object keyed by client id or an array of entries with an `id` field.
+ * The single-site WP_SITE / WP_USER / WP_APP_PASSWORD variables are registered as the "default" client.
+ */
+function loadClients() {
+  const clients = new Map();
+
+  let source;
+  try {
+    source = readClientsSource();
+  } catch (error) {
+    throw new Error(`Invalid CLIENTS_CONFIG: ${error.message}`);
+  }
+
+  if (Array.isArray(source)) {
+    for (const entry of source) {
+      if (!entry?.id) {
+        throw new Error('Invalid CLIENTS_CONFIG: every client entry needs an "id"');
+      }
+      clients.set(entry.id, normalizeClient(entry.id, entry));
+    }
+  } else if (source && typeof source === 'object') {
+    for (const [id, entry] of Object.entries(source)) {
+      clients.set(id, normalizeClient(id, entry));
+    }
+  }
+
+  if (process.env.WP_SITE && !clients.has('default')) {
+    clients.set('default', normalizeClient('default', {
+      name: process.env.CLIENT_NAME || 'CTS',
+      wp_site: process.env.WP_SITE,
+      wp_user: process.env.WP_USER,
+      wp_app_password: process.env.WP_APP_PASSWORD,
+    }));
+  }
+
+  return clients;
+}
+
+/**
+ * Pick the client used when none is requested explicitly
+ */
+function getDefaultClientId(clients) {
+  if (process.env.DEFAULT_CLIENT) return process.env.DEFAULT_CLIENT;
+  return clients.has('default') ? 'default' : clients.keys().next().value;
+}
+
+/**
+ * Parse and get client configuration
+ * Without a clientId, uses DEFAULT_CLIENT, then the WP_SITE client, then the first registry entry.
+ */
+export function getClientConfig(clientId = null) {
+  const clients = loadClients();
+
+  if (clients.size === 0) {
+    throw new Error('Missing required environment variables: WP_SITE, WP_USER, WP_APP_PASSWORD (or CLIENTS_CONFIG)');
+  }
+
+  const id = clientId || getDefaultClientId(clients);
+
+  const config = clients.get(id);
+  if (!config) {
+    throw new Error(`Unknown client "${id}". Available clients: ${[...clients.keys()].join(', ')}`);
+  }
+
+  if (!config.wp_site || !config.wp_user || !config.wp_app_password) {
+    throw new Error(`Client "${id}" is missing wp_site, wp_user or wp_app_password`);
+  }
+
+  return config;
+}
+
+/**
+ * Get all available clients
+ * Credentials are never included; this is what /api/clients returns.
+ */
+export function getAvailableClients() {
+  const clients = loadClients();
+  const defaultId = clients.size > 0 ? getDefaultClientId(clients) : null;
+
+  return [...clients.values()].map(client => ({
+    id: client.id,
+    name: client.name,
+    wp_site: client.wp_site,
+    default_status: client.default_status,
+    isDefault: client.id === defaultId,
+  }));
+}
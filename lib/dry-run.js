@@ -0,0 +1,52 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseDriveUrl, downloadFromDrive } from './google-drive.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+/**
+ * Check that a featured image source can be read, without uploading it
+ * Local paths are resolved from the project root, like uploadMediaItem does.
+ */
+export async function checkImageSource(filePathOrUrl) {
+  const source = filePathOrUrl.trim();
+
+  if (!source.startsWith('http://') && !source.startsWith('https://')) {
+    const fullPath = path.resolve(ROOT_DIR, source);
+    return fs.existsSync(fullPath)
+      ? { source, reachable: true, detail: `local file (${fs.statSync(fullPath).size} bytes)` }
+      : { source, reachable: false, detail: `file not found: ${fullPath}` };
+  }
+
+  if (parseDriveUrl(source)) {
+    try {
+      const download = await downloadFromDrive(source, { probe: true });
+      return { source, reachable: true, detail: `Google Drive ${download.mimeType} (${download.fileName})` };
+    } catch (error) {
+      return { source, reachable: false, detail: `${error.reason || 'error'}: ${error.message}` };
+    }
+  }
+
+  try {
+    // Some hosts reject HEAD, so fetch only the first byte instead
+    const response = await axios.get(source, {
+      responseType: 'arraybuffer',
+      timeout: 15000,
+      headers: { Range: 'bytes=0-0' },
+      validateStatus: status => status < 400,
+    });
+
+    const contentType = response.headers['content-type'] || '';
+    if (contentType.includes('text/html')) {
+      return { source, reachable: false, detail: 'URL returned HTML, not an image' };
+    }
+
+    return { source, reachable: true, detail: contentType || 'unknown content type' };
+  } catch (error) {
+    return { source, reachable: false, detail: error.response ? `HTTP ${error.response.status}` : error.message };
+  }
+}
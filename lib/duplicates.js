@@ -0,0 +1,325 @@
+import { normalizeTitle } from './post-index.js';
+import { fetchAllPosts, EXPORT_STATUSES } from './export.js';
+
+// Ways two posts can count as duplicates (--match)
+export const MATCH_MODES = ['title', 'slug', 'content'];
+
+// What an upload does with a near-duplicate: nothing, a warning on the row, or fail the row
+export const NEAR_DUPLICATE_MODES = ['off', 'warn', 'block'];
+
+// What an upload does with a row whose title matches an existing post or an earlier row (on_duplicate)
+export const DUPLICATE_POLICIES = ['fail', 'skip', 'update-existing', 'create-anyway'];
+
+// Bodies shorter than this many word triples ("<p>TBD</p>") are too short to call alike by content
+const MIN_CONTENT_SHINGLES = 10;
+
+// Statuses "published-wins" prefers, best first
+const PUBLISHED_ORDER = ['publish', 'future', 'private', 'pending', 'draft'];
+
+const byDate = (a, b) => a.date.localeCompare(b.date) || a.id - b.id;
+
+/**
+ * Which post of a duplicate group to keep (--keep); each sorts the group best-first, ties go to the oldest
+ */
+export const KEEP_STRATEGIES = {
+  oldest: byDate,
+  newest: (a, b) => byDate(b, a),
+  'most-recently-modified': (a, b) => b.modified.localeCompare(a.modified) || byDate(a, b),
+  'has-featured-image': (a, b) => Number(!!b.featuredMedia) - Number(!!a.featuredMedia) || byDate(a, b),
+  'published-wins': (a, b) => rankStatus(a.status) - rankStatus(b.status) || byDate(a, b),
+};
+
+/**
+ * Position of a status in PUBLISHED_ORDER (unknown statuses last)
+ */
+function rankStatus(status) {
+  const rank = PUBLISHED_ORDER.indexOf(status);
+  return rank === -1 ? PUBLISHED_ORDER.length : rank;
+}
+
+/**
+ * Plain lowercase words of a post body (tags, entities and punctuation dropped)
+ */
+export function contentWords(html) {
+  return (html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&[^;\s]+;/g, ' ')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .filter(Boolean);
+}
+
+/**
+ * 32-bit FNV-1a hash; shingles are kept as numbers so a whole site's content fits in memory
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Overlapping word triples of a text (hashed); short texts fall back to single words
+ */
+export function shingles(words, size = 3) {
+  if (words.length < size) return new Set(words.map(hashText));
+  const set = new Set();
+  for (let i = 0; i <= words.length - size; i++) {
+    set.add(hashText(words.slice(i, i + size).join(' ')));
+  }
+  return set;
+}
+
+/**
+ * Words of a title for fuzzy comparison
+ * Curly quotes, apostrophes and punctuation are dropped: "Nafisa's Kitchen" and "Nafisa’s Kitchen!" give the same words.
+ */
+export function titleTokens(title) {
+  return new Set(
+    normalizeTitle(title)
+      .replace(/['‘’`´]/g, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Jaccard similarity of two shingle sets (0 - 1)
+ */
+export function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const item of small) {
+    if (large.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Read the near-duplicate settings for a client (falls back to NEAR_DUPLICATES and NEAR_DUPLICATE_*_THRESHOLD)
+ * `mode` overrides the configured mode (--near-duplicates / the web form). The check is off unless configured,
+ * because it loads the content of every existing post.
+ */
+export function getNearDuplicateOptions(clientConfig = {}, mode = null) {
+  const options = {
+    mode: (mode || clientConfig.near_duplicates || process.env.NEAR_DUPLICATES || 'off').toLowerCase(),
+    titleThreshold: parseFloat(clientConfig.near_duplicate_title_threshold ?? process.env.NEAR_DUPLICATE_TITLE_THRESHOLD ?? '0.85'),
+    contentThreshold: parseFloat(clientConfig.near_duplicate_content_threshold ?? process.env.NEAR_DUPLICATE_CONTENT_THRESHOLD ?? '0.8'),
+  };
+  if (!NEAR_DUPLICATE_MODES.includes(options.mode)) {
+    throw new Error(`Unknown near-duplicate mode "${options.mode}" (allowed: ${NEAR_DUPLICATE_MODES.join(', ')})`);
+  }
+  return options;
+}
+
+/**
+ * Check an on_duplicate value and return it lowercased (empty values give null)
+ */
+export function parseDuplicatePolicy(value) {
+  const policy = String(value ?? '').trim().toLowerCase();
+  if (!policy) return null;
+  if (!DUPLICATE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown on_duplicate policy "${value}" (allowed: ${DUPLICATE_POLICIES.join(', ')})`);
+  }
+  return policy;
+}
+
+/**
+ * Duplicate policy for a row: its on_duplicate column, then the run's policy (--on-duplicate / the web form), then "fail"
+ */
+export function getDuplicatePolicy(row, runPolicy = null) {
+  return parseDuplicatePolicy(row.on_duplicate) || runPolicy || 'fail';
+}
+
+/**
+ * Score how alike two summarized posts are: { title, content } similarities (0 - 1)
+ */
+export function scorePair(a, b, { contentThreshold = 0 } = {}) {
+  const x = a.shingles;
+  const y = b.shingles;
+  // Skip the content comparison for very short bodies, and when the sizes alone rule the threshold out
+  const contentPossible = Math.min(x.size, y.size) >= Math.max(MIN_CONTENT_SHINGLES, contentThreshold * Math.max(x.size, y.size));
+  return {
+    title: similarity(a.tokens, b.tokens),
+    content: contentPossible ? similarity(x, y) : 0,
+  };
+}
+
+/**
+ * Whether a score reaches either threshold
+ */
+export function isNearDuplicate(score, { titleThreshold, contentThreshold }) {
+  return score.title >= titleThreshold || score.content >= contentThreshold;
+}
+
+/**
+ * Describe a near-duplicate match: post 12 "Title" (title 100%, content 43%)
+ */
+export function describeNearDuplicate(match) {
+  const target = match.postId ? `${match.status || 'post'} ${match.postId}` : `row ${match.rowNumber} of this CSV`;
+  return `${target} "${match.title}" (title ${Math.round(match.score.title * 100)}%, content ${Math.round(match.score.content * 100)}%)`;
+}
+
+/**
+ * Reduce a REST post (context=edit) to what matching and keep strategies need
+ */
+export function summarizePost(post) {
+  const title = post.title?.raw ?? post.title?.rendered ?? post.title ?? '';
+  return {
+    id: post.id,
+    title,
+    slug: post.slug || '',
+    status: post.status,
+    date: post.date_gmt || post.date || '',
+    modified: post.modified_gmt || post.modified || post.date_gmt || post.date || '',
+    featuredMedia: post.featured_media || 0,
+    link: post.link || '',
+    tokens: titleTokens(title),
+    shingles: shingles(contentWords(post.content?.raw ?? post.content?.rendered ?? '')),
+  };
+}
+
+/**
+ * Strip a WordPress uniqueness suffix ("my-post-2" -> "my-post") when the base slug is taken by another post
+ * "top-10" stays as it is unless a post with the slug "top" exists.
+ */
+function baseSlug(slug, slugs) {
+  const match = slug.match(/^(.+)-(\d+)$/);
+  return match && slugs.has(match[1]) ? baseSlug(match[1], slugs) : slug;
+}
+
+/**
+ * Group posts that are duplicates of each other
+ * match - any of MATCH_MODES: same normalized title, same slug apart from a -2/-3 suffix,
+ *         and/or content at least `threshold` similar (word triples, Jaccard)
+ * Posts linked through any mode end up in one group. Returns [{ posts, reasons }] for groups of two or more.
+ */
+export function findDuplicateGroups(posts, { match = ['title'], threshold = 0.9 } = {}) {
+  const parent = new Map(posts.map(post => [post.id, post.id]));
+  const reasons = [];
+
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const link = (a, b, reason) => {
+    const rootA = find(a.id);
+    const rootB = find(b.id);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+    reasons.push([a.id, reason]);
+  };
+  const linkByKey = (keyOf, reason) => {
+    const first = new Map();
+    for (const post of posts) {
+      const key = keyOf(post);
+      if (!key) continue;
+      if (first.has(key)) link(first.get(key), post, reason);
+      else first.set(key, post);
+    }
+  };
+
+  if (match.includes('title')) {
+    linkByKey(post => normalizeTitle(post.title), 'title');
+  }
+  if (match.includes('slug')) {
+    const slugs = new Set(posts.map(post => post.slug).filter(Boolean));
+    linkByKey(post => post.slug && baseSlug(post.slug, slugs), 'slug');
+  }
+  if (match.includes('content')) {
+    for (let i = 0; i < posts.length; i++) {
+      for (let j = i + 1; j < posts.length; j++) {
+        const a = posts[i].shingles;
+        const b = posts[j].shingles;
+        // Jaccard can't reach the threshold when one set is much larger than the other
+        if (Math.min(a.size, b.size) < threshold * Math.max(a.size, b.size)) continue;
+        const score = similarity(a, b);
+        if (score >= threshold) link(posts[i], posts[j], `content ${Math.round(score * 100)}%`);
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const post of posts) {
+    const root = find(post.id);
+    if (!groups.has(root)) groups.set(root, { posts: [], reasons: new Set() });
+    groups.get(root).posts.push(post);
+  }
+  for (const [id, reason] of reasons) {
+    groups.get(find(id)).reasons.add(reason);
+  }
+
+  return [...groups.values()]
+    .filter(group => group.posts.length > 1)
+    .map(group => ({ posts: group.posts, reasons: [...group.reasons] }));
+}
+
+/**
+ * Split a duplicate group into the post to keep and the ones to remove
+ */
+export function pickKeeper(groupPosts, strategy = 'oldest') {
+  const compare = KEEP_STRATEGIES[strategy];
+  if (!compare) {
+    throw new Error(`Unknown keep strategy "${strategy}" (available: ${Object.keys(KEEP_STRATEGIES).join(', ')})`);
+  }
+  const [keep, ...remove] = [...groupPosts].sort(compare);
+  return { keep, remove };
+}
+
+/**
+ * Create a similarity index over summarized posts, for checking new rows before they are created
+ * findSimilar returns the matches reaching either threshold, best first, as { postId, rowNumber, title, status, score }.
+ * add / remove track rows of the current CSV so two near-identical rows are caught as well.
+ */
+export function createSimilarityIndex(posts = []) {
+  const entries = new Map(posts.map(post => [`post:${post.id}`, { postId: post.id, rowNumber: null, ...post }]));
+
+  return {
+    findSimilar(title, content, options, { rowNumber = null } = {}) {
+      const candidate = { tokens: titleTokens(title), shingles: shingles(contentWords(content)) };
+      const matches = [];
+      for (const entry of entries.values()) {
+        if (rowNumber !== null && entry.rowNumber === rowNumber) continue;
+        const score = scorePair(candidate, entry, options);
+        if (isNearDuplicate(score, options)) {
+          matches.push({ postId: entry.postId, rowNumber: entry.rowNumber, title: entry.title, status: entry.status, score });
+        }
+      }
+      return matches.sort((a, b) => Math.max(b.score.title, b.score.content) - Math.max(a.score.title, a.score.content));
+    },
+    add(title, content, rowNumber) {
+      entries.set(`row:${rowNumber}`, {
+        postId: null, rowNumber, title, status: null, tokens: titleTokens(title), shingles: shingles(contentWords(content)),
+      });
+    },
+    remove(rowNumber) {
+      entries.delete(`row:${rowNumber}`);
+    },
+  };
+}
+
+/**
+ * Get the run's similarity index for a post type (REST base), loading titles and content on first use
+ * The promises are stored on runContext.similarityIndexes so concurrent workers share a single load.
+ */
+export function getSimilarityIndex(runContext, apiInstance, restBase = 'posts') {
+  if (!runContext.similarityIndexes) {
+    runContext.similarityIndexes = new Map();
+  }
+  if (!runContext.similarityIndexes.has(restBase)) {
+    const loading = fetchAllPosts(apiInstance, restBase, EXPORT_STATUSES).then((posts) => {
+      console.log(`🧬 Loaded ${posts.length} existing ${restBase} for the near-duplicate check`);
+      return createSimilarityIndex(posts.map(summarizePost));
+    });
+    // Drop a failed load so the next row can try again
+    loading.catch(() => runContext.similarityIndexes.delete(restBase));
+    runContext.similarityIndexes.set(restBase, loading);
+  }
+  return runContext.similarityIndexes.get(restBase);
+}
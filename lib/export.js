@@ -0,0 +1,136 @@
+import { describeTerms } from './terms.js';
+import { resolvePostType } from './post-types.js';
+
+// Same names createOrUpdatePost / updatePost read, so an exported file can go straight back into an update
+export const EXPORT_COLUMNS = [
+  'post_id', 'title', 'content', 'status', 'publish_at', 'categories', 'tags', 'slug', 'excerpt',
+  'featured_image_url', 'acf_json', 'meta_title', 'meta_description', 'focus_keyword',
+];
+
+// Every status but trash
+export const EXPORT_STATUSES = ['publish', 'future', 'draft', 'pending', 'private'];
+
+/**
+ * Quote a value for CSV (RFC 4180: wrap in quotes when needed, double inner quotes)
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize row objects to CSV text with a header line
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(csvField).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Page through every post of a type with the given statuses
+ * context=edit returns the raw title/content/excerpt (what the importer writes), not the filtered HTML.
+ */
+export async function fetchAllPosts(apiInstance, restBase, statuses) {
+  const posts = [];
+  const perPage = 100;
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const response = await apiInstance.get(`/${restBase}`, {
+      params: { per_page: perPage, page, status: statuses.join(','), context: 'edit', orderby: 'id', order: 'asc' },
+    });
+    posts.push(...(response.data || []));
+    totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '1', 10);
+    page++;
+  } while (page <= totalPages);
+
+  return posts;
+}
+
+/**
+ * Look up the URLs of featured images, 100 attachments per request
+ */
+async function fetchMediaUrls(mediaIds, apiInstance) {
+  const urls = new Map();
+  const ids = [...new Set(mediaIds.filter(Boolean))];
+
+  for (let i = 0; i < ids.length; i += 100) {
+    const batch = ids.slice(i, i + 100);
+    const response = await apiInstance.get('/media', {
+      params: { include: batch.join(','), per_page: 100, _fields: 'id,source_url' },
+    });
+    (response.data || []).forEach(media => urls.set(media.id, media.source_url));
+  }
+
+  return urls;
+}
+
+/**
+ * Read a raw field, falling back to the rendered value when the site only returned the view context
+ */
+function rawField(field) {
+  if (field === null || field === undefined) return '';
+  if (typeof field === 'string') return field;
+  return field.raw ?? field.rendered ?? '';
+}
+
+/**
+ * Turn a REST post into a CSV row
+ * SEO fields come from the expose-seo-meta.php fields: the generic meta_* first, then Yoast, then Rank Math.
+ */
+async function toExportRow(post, mediaUrls, apiInstance, runContext) {
+  const acf = post.acf && !Array.isArray(post.acf) && Object.keys(post.acf).length > 0 ? post.acf : null;
+
+  return {
+    post_id: post.id,
+    title: rawField(post.title),
+    content: rawField(post.content),
+    status: post.status,
+    // Only scheduled posts need their date to keep the schedule on re-import
+    publish_at: post.status === 'future' && post.date_gmt ? `${post.date_gmt.replace('T', ' ')}Z` : '',
+    categories: await describeTerms(post.categories, 'categories', apiInstance, runContext),
+    tags: await describeTerms(post.tags, 'tags', apiInstance, runContext),
+    slug: post.slug || '',
+    excerpt: rawField(post.excerpt),
+    featured_image_url: mediaUrls.get(post.featured_media) || '',
+    acf_json: acf ? JSON.stringify(acf) : '',
+    meta_title: post.meta_title || post._yoast_wpseo_title || post.rank_math_title || '',
+    meta_description: post.meta_description || post._yoast_wpseo_metadesc || post.rank_math_description || '',
+    focus_keyword: post._yoast_wpseo_focuskw || post.rank_math_focus_keyword || '',
+  };
+}
+
+/**
+ * Export existing posts in the importer's CSV format
+ * Options: postType - type to export (default "post"); other types add a post_type column
+ *          status - statuses to include (array or comma-separated; default all but trash)
+ * Returns { csv, count, columns }.
+ */
+export async function exportPosts(apiInstance, { postType = '', status = '' } = {}, runContext = {}) {
+  const type = await resolvePostType(postType, apiInstance, runContext);
+  const statuses = (Array.isArray(status) ? status : String(status).split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+  const unknown = statuses.filter(value => !EXPORT_STATUSES.includes(value));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown status "${unknown.join(', ')}" (allowed: ${EXPORT_STATUSES.join(', ')})`);
+  }
+
+  const posts = await fetchAllPosts(apiInstance, type.restBase, statuses.length ? statuses : EXPORT_STATUSES);
+  console.log(`📚 Exporting ${posts.length} ${type.slug === 'post' ? 'post' : type.slug}(s)`);
+  const mediaUrls = await fetchMediaUrls(posts.map(post => post.featured_media), apiInstance);
+
+  const rows = [];
+  for (const post of posts) {
+    const row = await toExportRow(post, mediaUrls, apiInstance, runContext);
+    if (type.slug !== 'post') row.post_type = type.slug;
+    rows.push(row);
+  }
+
+  const columns = type.slug === 'post' ? EXPORT_COLUMNS : [...EXPORT_COLUMNS, 'post_type'];
+  return { csv: toCsv(rows, columns), count: rows.length, columns };
+}
@@ -0,0 +1,266 @@
+import axios from 'axios';
+import path from 'path';
+import mime from 'mime-types';
+
+const DRIVE_HOSTS = /(^|\.)(drive\.google\.com|docs\.google\.com|drive\.usercontent\.google\.com)$/i;
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif|tiff?|bmp|svg)$/i;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+/**
+ * Why a Drive download failed
+ * private: the file needs a Google sign-in ("Anyone with the link" is off)
+ * needs-confirmation: Drive showed its virus-scan confirmation and it could not be completed automatically
+ * quota-exceeded: too many downloads of the file recently, Drive refuses for now
+ * not-found: the file or folder doesn't exist (or was deleted)
+ * folder: a folder link where a single image could not be picked
+ */
+export const DRIVE_FAILURE_HINTS = {
+  'private': 'Change sharing to "Anyone with the link" on Google Drive.',
+  'needs-confirmation': 'Download the file once in a browser to check it, or host the image elsewhere.',
+  'quota-exceeded': 'Wait a few hours, or make a copy of the file in Drive and link the copy.',
+  'not-found': 'Check that the link is complete and the file still exists.',
+  'folder': 'Link the image file itself, or add #file-name.jpg to the folder link to pick one file.',
+};
+
+/**
+ * Create an error carrying a failure reason (one of the DRIVE_FAILURE_HINTS keys)
+ */
+function driveError(reason, message) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Recognize a Google Drive / Docs link
+ * Returns { type: 'file', id } or { type: 'folder', id, fileHint }, or null for other URLs.
+ * Handles /file/d/ID, open?id=ID, uc?id=ID, drive.usercontent.google.com/download?id=ID,
+ * docs.google.com/uc?id=ID and /drive/folders/ID (fileHint comes from #name or ?file=name).
+ */
+export function parseDriveUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!DRIVE_HOSTS.test(parsed.hostname)) return null;
+
+  const folderMatch = parsed.pathname.match(/\/folders\/([a-zA-Z0-9_-]+)/);
+  if (folderMatch) {
+    const fileHint = parsed.searchParams.get('file') || decodeURIComponent(parsed.hash.replace(/^#/, '')) || null;
+    return { type: 'folder', id: folderMatch[1], fileHint };
+  }
+
+  const pathMatch = parsed.pathname.match(/\/d\/([a-zA-Z0-9_-]+)/);
+  const id = pathMatch?.[1] || parsed.searchParams.get('id');
+  return id ? { type: 'file', id } : null;
+}
+
+/**
+ * Classify an HTML page Drive returned instead of the file
+ */
+function classifyDrivePage(html, finalUrl) {
+  if (/accounts\.google\.com/.test(finalUrl) || /ServiceLogin|accounts\.google\.com\/(v3\/)?signin/i.test(html)) {
+    return 'private';
+  }
+  if (/Too many users have viewed or downloaded this file|download quota/i.test(html)) {
+    return 'quota-exceeded';
+  }
+  if (/file you have requested does not exist|Sorry, the file|<title>Not Found<\/title>/i.test(html)) {
+    return 'not-found';
+  }
+  if (/id="download-form"|uc-download-link|confirm=|virus scan|scan this file for viruses/i.test(html)) {
+    return 'needs-confirmation';
+  }
+  if (/you need access|request access|you need permission/i.test(html)) {
+    return 'private';
+  }
+  return null;
+}
+
+/**
+ * Build the URL that confirms a large-file download from the confirmation page
+ * Newer pages post a form to drive.usercontent.google.com; older ones link with confirm=TOKEN,
+ * or only set a download_warning cookie holding the token.
+ */
+function getConfirmUrl(html, fileId, cookies) {
+  const form = html.match(/<form[^>]*id="download-form"[^>]*action="([^"]+)"[^>]*>([\s\S]*?)<\/form>/i);
+  if (form) {
+    const url = new URL(form[1].replace(/&amp;/g, '&'));
+    for (const input of form[2].matchAll(/<input[^>]*type="hidden"[^>]*>/gi)) {
+      const name = input[0].match(/name="([^"]+)"/)?.[1];
+      const value = input[0].match(/value="([^"]*)"/)?.[1] ?? '';
+      if (name) url.searchParams.set(name, value);
+    }
+    return url.toString();
+  }
+
+  const link = html.match(/href="(\/uc\?export=download[^"]*confirm=[^"]+)"/i);
+  if (link) {
+    return `https://drive.google.com${link[1].replace(/&amp;/g, '&')}`;
+  }
+
+  const token = html.match(/confirm=([0-9A-Za-z_-]+)/)?.[1]
+    || cookies.match(/download_warning[^=]*=([^;]+)/)?.[1];
+  if (token) {
+    return `https://drive.usercontent.google.com/download?id=${fileId}&export=download&confirm=${token}`;
+  }
+
+  return null;
+}
+
+/**
+ * GET a Drive URL without throwing on HTTP errors, collecting cookies for the confirmation step
+ */
+async function driveGet(url, { cookies = '', probe = false } = {}) {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: 60000,
+    validateStatus: () => true,
+    headers: {
+      'User-Agent': USER_AGENT,
+      ...(cookies ? { Cookie: cookies } : {}),
+      // Dry runs only need to know the file is there
+      ...(probe ? { Range: 'bytes=0-0' } : {}),
+    },
+  });
+
+  const setCookies = [].concat(response.headers['set-cookie'] || []).map(cookie => cookie.split(';')[0]);
+  return {
+    response,
+    finalUrl: response.request?.res?.responseUrl || url,
+    isHtml: /text\/html/i.test(response.headers['content-type'] || ''),
+    cookies: [cookies, ...setCookies].filter(Boolean).join('; '),
+  };
+}
+
+/**
+ * Raise the right error for a non-file response
+ */
+function failFromResponse({ response, finalUrl, isHtml }, what) {
+  const status = response.status;
+  if (status === 401 || status === 403) throw driveError('private', `${what} needs a Google sign-in (HTTP ${status})`);
+  if (status === 404) throw driveError('not-found', `${what} was not found`);
+  if (status === 429) throw driveError('quota-exceeded', `${what} has hit Google Drive's download limit`);
+
+  const reason = isHtml ? classifyDrivePage(Buffer.from(response.data).toString('utf-8'), finalUrl) : null;
+  const messages = {
+    'private': `${what} is private`,
+    'quota-exceeded': `${what} has hit Google Drive's download limit`,
+    'not-found': `${what} was not found`,
+    'needs-confirmation': `${what} needs a download confirmation that could not be completed automatically`,
+  };
+  if (reason) throw driveError(reason, messages[reason]);
+  throw driveError('private', `${what} returned a web page instead of the file (HTTP ${status}); the link is probably private`);
+}
+
+/**
+ * Turn a successful file response into { buffer, mimeType, fileName }
+ */
+function toDownload(response, fileId) {
+  const contentType = (response.headers['content-type'] || '').split(';')[0].trim();
+  const disposition = response.headers['content-disposition'] || '';
+  // filename*=UTF-8''name wins over the plain (often ASCII-mangled) filename=
+  const encodedName = disposition.match(/filename\*=UTF-8''([^;]+)/i)?.[1];
+  let fileName = encodedName ? decodeURIComponent(encodedName) : disposition.match(/filename="?([^";]+)"?/i)?.[1];
+  fileName = fileName || `drive-${fileId}`;
+
+  const extension = mime.extension(contentType);
+  if (!path.extname(fileName) && extension) {
+    fileName = `${fileName}.${extension}`;
+  }
+
+  return {
+    buffer: Buffer.from(response.data),
+    mimeType: contentType || mime.lookup(fileName) || 'application/octet-stream',
+    fileName,
+  };
+}
+
+/**
+ * Download one Drive file, completing the virus-scan confirmation for large files
+ */
+async function downloadDriveFile(fileId, options) {
+  const what = `Google Drive file ${fileId}`;
+  const first = await driveGet(`https://drive.google.com/uc?export=download&id=${fileId}`, options);
+  if (first.response.status < 300 && !first.isHtml) {
+    return toDownload(first.response, fileId);
+  }
+
+  const html = first.isHtml ? Buffer.from(first.response.data).toString('utf-8') : '';
+  if (first.response.status >= 300 || classifyDrivePage(html, first.finalUrl) !== 'needs-confirmation') {
+    failFromResponse(first, what);
+  }
+
+  const confirmUrl = getConfirmUrl(html, fileId, first.cookies);
+  if (!confirmUrl) {
+    throw driveError('needs-confirmation', `${what} needs a download confirmation, but the confirmation link could not be found`);
+  }
+
+  console.log(`   🔐 Confirming large-file download for ${what}`);
+  const confirmed = await driveGet(confirmUrl, { ...options, cookies: first.cookies });
+  if (confirmed.response.status < 300 && !confirmed.isHtml) {
+    return toDownload(confirmed.response, fileId);
+  }
+  failFromResponse(confirmed, what);
+}
+
+/**
+ * List the files of a shared folder from Drive's embedded folder view
+ */
+async function listDriveFolder(folderId) {
+  const what = `Google Drive folder ${folderId}`;
+  const listing = await driveGet(`https://drive.google.com/embeddedfolderview?id=${folderId}`);
+  if (listing.response.status >= 300 || !listing.isHtml) {
+    failFromResponse(listing, what);
+  }
+
+  const html = Buffer.from(listing.response.data).toString('utf-8');
+  if (classifyDrivePage(html, listing.finalUrl) === 'private') {
+    throw driveError('private', `${what} is private`);
+  }
+
+  const entries = [];
+  for (const match of html.matchAll(/id="entry-([a-zA-Z0-9_-]+)"[\s\S]*?class="flip-entry-title">([^<]*)</g)) {
+    entries.push({ id: match[1], name: match[2].replace(/&amp;/g, '&').trim() });
+  }
+  return entries;
+}
+
+/**
+ * Download an image from any Google Drive link (file, folder + #file-name, Docs or usercontent variants)
+ * Throws an Error with `reason` set (see DRIVE_FAILURE_HINTS) when the file can't be fetched.
+ * With probe, only the first byte is requested (dry runs).
+ */
+export async function downloadFromDrive(url, { probe = false } = {}) {
+  const link = parseDriveUrl(url);
+  if (!link) {
+    throw driveError('not-found', `Not a Google Drive link: ${url}`);
+  }
+
+  if (link.type === 'file') {
+    return downloadDriveFile(link.id, { probe });
+  }
+
+  const entries = await listDriveFolder(link.id);
+  const images = entries.filter(entry => IMAGE_EXTENSIONS.test(entry.name));
+  let chosen = null;
+
+  if (link.fileHint) {
+    chosen = entries.find(entry => entry.name.toLowerCase() === link.fileHint.toLowerCase());
+    if (!chosen) {
+      throw driveError('folder', `Google Drive folder ${link.id} has no file named "${link.fileHint}"`);
+    }
+  } else if (images.length === 1) {
+    chosen = images[0];
+  } else {
+    const names = images.slice(0, 5).map(entry => entry.name).join(', ');
+    throw driveError('folder', images.length === 0
+      ? `Google Drive folder ${link.id} has no images (or is private)`
+      : `Google Drive folder ${link.id} has ${images.length} images (${names}${images.length > 5 ? ', ...' : ''}); pick one`);
+  }
+
+  console.log(`   📁 Using "${chosen.name}" from Google Drive folder ${link.id}`);
+  return downloadDriveFile(chosen.id, { probe });
+}
@@ -0,0 +1,96 @@
+import path from 'path';
+
+// Formats sharp can re-encode; anything else (SVG, GIF, ICO...) is uploaded as-is
+const OPTIMIZABLE_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp', 'image/tiff', 'image/avif']);
+
+/**
+ * Read the image settings for a client (falls back to IMAGE_MAX_WIDTH / IMAGE_QUALITY / IMAGE_WEBP)
+ */
+export function getImageOptimizeOptions(clientConfig = {}) {
+  const webp = clientConfig.image_webp ?? process.env.IMAGE_WEBP ?? 'false';
+  return {
+    maxWidth: parseInt(clientConfig.image_max_width ?? process.env.IMAGE_MAX_WIDTH ?? '1920', 10),
+    quality: parseInt(clientConfig.image_quality ?? process.env.IMAGE_QUALITY ?? '82', 10),
+    webp: webp === true || String(webp).toLowerCase() === 'true',
+  };
+}
+
+/**
+ * Resize, re-encode and strip metadata from an image before it is uploaded
+ * `image` is { buffer, fileName, mimeType }. Returns { image, report } where report records
+ * { before, after, width, format } in bytes/pixels, or { before, after, skipped } when the image was left alone.
+ * The original is kept when re-encoding doesn't make it smaller and nothing had to be resized, converted or stripped.
+ */
+export async function optimizeImage(image, options) {
+  const before = image.buffer.length;
+  const mimeType = (image.mimeType || '').split(';')[0].trim().toLowerCase();
+
+  if (!OPTIMIZABLE_TYPES.has(mimeType)) {
+    return { image, report: { before, after: before, skipped: `unsupported type ${mimeType || 'unknown'}` } };
+  }
+
+  // Loaded on first use so runs without --optimize-images don't pay for the native module
+  const { default: sharp } = await import('sharp');
+
+  // rotate() applies the EXIF orientation before the metadata is dropped (sharp strips it unless asked not to)
+  const pipeline = sharp(image.buffer).rotate();
+  let metadata;
+  try {
+    metadata = await pipeline.metadata();
+  } catch (error) {
+    return { image, report: { before, after: before, skipped: `could not read image: ${error.message}` } };
+  }
+  const resize = options.maxWidth > 0 && metadata.width > options.maxWidth;
+  if (resize) {
+    pipeline.resize({ width: options.maxWidth, withoutEnlargement: true });
+  }
+
+  const sourceFormat = mimeType.replace('image/', '');
+  const format = options.webp ? 'webp' : sourceFormat;
+  const converted = format !== sourceFormat;
+
+  if (format === 'png') {
+    pipeline.png({ compressionLevel: 9, adaptiveFiltering: true });
+  } else if (format === 'jpeg') {
+    pipeline.jpeg({ quality: options.quality, mozjpeg: true });
+  } else {
+    pipeline.toFormat(format, { quality: options.quality });
+  }
+
+  let data, info;
+  try {
+    ({ data, info } = await pipeline.toBuffer({ resolveWithObject: true }));
+  } catch (error) {
+    // Upload what we have rather than losing the image
+    return { image, report: { before, after: before, skipped: `could not process: ${error.message}` } };
+  }
+
+  // Keep the original only if there is no EXIF to strip either
+  if (!resize && !converted && !metadata.exif && data.length >= before) {
+    return { image, report: { before, after: before, skipped: 'already optimized' } };
+  }
+
+  const extension = format === 'jpeg' ? 'jpg' : format;
+  const baseName = path.basename(image.fileName, path.extname(image.fileName));
+
+  return {
+    image: {
+      buffer: data,
+      fileName: converted ? `${baseName}.${extension}` : image.fileName,
+      mimeType: `image/${format}`,
+    },
+    report: { before, after: data.length, width: info.width, format },
+  };
+}
+
+/**
+ * Human-readable "1.2 MB -> 240 KB" for a report
+ */
+export function describeOptimization(report) {
+  const format = (bytes) => (bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.round(bytes / 1024)} KB`);
+  return report.skipped
+    ? `${format(report.before)} (${report.skipped})`
+    : `${format(report.before)} -> ${format(report.after)}`;
+}
@@ -0,0 +1,73 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Read a log written by a previous run (import_log.json / update_log.json)
+ */
+export function readImportLog(logPath) {
+  const fullPath = path.resolve(logPath);
+
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Log file not found: ${fullPath}`);
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Log file is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(entries)) {
+    throw new Error('Log file must contain an array of row results');
+  }
+
+  return entries;
+}
+
+/**
+ * Whether a logged row finished successfully and must not be processed again
+ */
+export function isCompletedEntry(entry) {
+  return !!entry && !entry.error && !!entry.action && !entry.action.startsWith('would-');
+}
+
+/**
+ * Create a log writer that rewrites the whole log after every recorded row
+ * Entries are kept sorted by rowNumber; a result for an existing rowNumber replaces the old entry.
+ * The file is written to a temporary path first, so a crash mid-write leaves the previous log intact.
+ */
+export function createLogWriter(logPath, initialEntries = []) {
+  const byRow = new Map(initialEntries.map(entry => [entry.rowNumber, entry]));
+  let writeFailed = false;
+
+  function entries() {
+    return [...byRow.values()].sort((a, b) => a.rowNumber - b.rowNumber);
+  }
+
+  function flush() {
+    if (writeFailed) return;
+    try {
+      const tmpPath = `${logPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(entries(), null, 2));
+      fs.renameSync(tmpPath, logPath);
+    } catch (error) {
+      // If writing fails (e.g., read-only filesystem), keep going and report once
+      writeFailed = true;
+      console.warn(`⚠️  Could not write log file ${logPath}: ${error.message}`);
+    }
+  }
+
+  return {
+    logPath,
+    record(result) {
+      byRow.set(result.rowNumber, result);
+      flush();
+    },
+    entries,
+    flush,
+    get writeFailed() {
+      return writeFailed;
+    },
+  };
+}
@@ -0,0 +1,125 @@
+import { convertGoogleDriveUrl, uploadMediaItem } from './media.js';
+import { checkImageSource } from './dry-run.js';
+import { getMediaHashes } from './media-hashes.js';
+
+const IMG_TAG = /<img\b[^>]*>/gi;
+const SRC_ATTRIBUTE = /(\ssrc\s*=\s*)(["'])(.*?)\2/i;
+const RESPONSIVE_ATTRIBUTES = /\s(?:srcset|sizes)\s*=\s*(["']).*?\1/gi;
+
+/**
+ * Decode the entities an editor may leave in an attribute URL (&amp; in query strings)
+ */
+function decodeAttribute(value) {
+  return value.replace(/&amp;|&#038;/g, '&').trim();
+}
+
+/**
+ * Whether a URL points outside the WordPress site (images already in its media library are left alone)
+ */
+function isRemoteImage(url, siteHost) {
+  if (!/^https?:\/\//i.test(url)) return false;
+  try {
+    return new URL(url).host !== siteHost;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List the remote image URLs used by <img src> in the content, each once, in order of appearance
+ */
+export function findInlineImages(content, siteUrl) {
+  const siteHost = new URL(siteUrl).host;
+  const urls = [];
+
+  for (const tag of content.match(IMG_TAG) || []) {
+    const src = tag.match(SRC_ATTRIBUTE);
+    if (!src) continue;
+    const url = decodeAttribute(src[3]);
+    if (isRemoteImage(url, siteHost) && !urls.includes(url)) urls.push(url);
+  }
+
+  return urls;
+}
+
+/**
+ * Upload a remote image once per run
+ * The promise is stored on runContext.sideloadedImages, so rows embedding the same URL share one attachment;
+ * an image already in the media library from an earlier run is reused through the media hash map.
+ */
+function sideloadOnce(url, siteUrl, apiInstance, runContext) {
+  if (!runContext.sideloadedImages) {
+    runContext.sideloadedImages = new Map();
+  }
+
+  const reused = runContext.sideloadedImages.has(url);
+  if (!reused) {
+    const options = { mediaHashes: getMediaHashes(runContext, siteUrl), optimize: runContext.optimizeImages };
+    const uploading = uploadMediaItem(convertGoogleDriveUrl(url), apiInstance, options)
+      .then(media => (media
+        ? { id: media.id, url: media.source_url, reused: !!media.reused, optimization: media.optimization || null }
+        : null));
+    runContext.sideloadedImages.set(url, uploading);
+  }
+
+  return runContext.sideloadedImages.get(url).then(media => ({ media, reused: reused || !!media?.reused }));
+}
+
+/**
+ * Upload every remote <img> in the content to the media library and point the tags at the attachments
+ * Returns { content, images } where images has one entry per URL:
+ *   { source, status: 'uploaded' | 'reused' | 'failed', mediaId, url, optimization? }
+ * Failed images keep their original src. With runContext.dryRun nothing is uploaded; each entry is the
+ * result of checkImageSource instead and the content is returned unchanged.
+ */
+export async function sideloadContentImages(content, siteUrl, apiInstance, runContext = {}) {
+  const urls = findInlineImages(content, siteUrl);
+
+  if (runContext.dryRun) {
+    const images = [];
+    for (const url of urls) {
+      images.push(await checkImageSource(convertGoogleDriveUrl(url)));
+    }
+    return { content, images: images.map((check, index) => ({ ...check, source: urls[index] })) };
+  }
+
+  const images = [];
+  const replacements = new Map();
+
+  for (const url of urls) {
+    const { media, reused } = await sideloadOnce(url, siteUrl, apiInstance, runContext);
+    if (media) {
+      replacements.set(url, media.url);
+      const image = { source: url, status: reused ? 'reused' : 'uploaded', mediaId: media.id, url: media.url };
+      if (media.optimization && !reused) image.optimization = media.optimization;
+      images.push(image);
+    } else {
+      images.push({ source: url, status: 'failed', mediaId: null, url: null });
+    }
+  }
+
+  // Rewrite src and drop srcset/sizes, which would still point at the remote copies
+  const rewritten = content.replace(IMG_TAG, (tag) => {
+    const src = tag.match(SRC_ATTRIBUTE);
+    const replacement = src && replacements.get(decodeAttribute(src[3]));
+    if (!replacement) return tag;
+    return tag
+      .replace(SRC_ATTRIBUTE, (match, prefix, quote) => `${prefix}${quote}${replacement}${quote}`)
+      .replace(RESPONSIVE_ATTRIBUTES, '');
+  });
+
+  return { content: rewritten, images };
+}
+
+/**
+ * One-line summary of a row's inline images for progress messages
+ */
+export function describeInlineImages(images, dryRun = false) {
+  if (dryRun) {
+    const unreachable = images.filter(image => !image.reachable).length;
+    return `${images.length} inline image(s) to upload${unreachable ? `, ${unreachable} unreachable` : ''}`;
+  }
+
+  const count = status => images.filter(image => image.status === status).length;
+  return `inline images: ${count('uploaded')} uploaded, ${count('reused')} reused, ${count('failed')} failed`;
+}
@@ -0,0 +1,230 @@
+import fs from 'fs';
+import path from 'path';
+import { loadCsvRows } from './validate.js';
+
+// queued -> running -> completed, failed or cancelled
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Progress messages kept per job (every row result is kept)
+const MAX_MESSAGES = 200;
+
+/**
+ * Whether a job has stopped for good
+ */
+export function isFinishedJob(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+/**
+ * A job without its row results and messages, for listings
+ */
+export function summarizeJob(job) {
+  const { results, messages, ...summary } = job;
+  return summary;
+}
+
+/**
+ * Create a job queue whose state is kept on disk as one JSON file per job in `dir`
+ * processors - { [type]: (csvPath, progressCallback, clientId, options) => result }, e.g. { upload: processCsvFile };
+ *              options are the job's own plus logPath (the job's log), signal (cancel) and onResult (per row)
+ * onProgress - receives (job, progress) for every progress message, e.g. to pass it on over SSE
+ * Jobs run one at a time in the order they were queued. A job that was running when the process stopped is
+ * queued again on the next start and resumes from the job's log, so rows already done are not repeated.
+ */
+export function createJobQueue({ dir, processors, onProgress = null }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const jobs = new Map();
+  let current = null;
+  let draining = false;
+
+  const now = () => new Date().toISOString();
+  const byCreated = (a, b) => a.createdAt.localeCompare(b.createdAt);
+
+  function save(job) {
+    try {
+      const jobPath = path.join(dir, `${job.id}.json`);
+      fs.writeFileSync(`${jobPath}.tmp`, JSON.stringify(job, null, 2));
+      fs.renameSync(`${jobPath}.tmp`, jobPath);
+    } catch (error) {
+      console.warn(`⚠️  Could not save job ${job.id}: ${error.message}`);
+    }
+  }
+
+  function removeCsv(job) {
+    if (job.csvPath && fs.existsSync(job.csvPath)) fs.unlinkSync(job.csvPath);
+  }
+
+  function addMessage(job, progress) {
+    job.messages.push({ ...progress, at: now() });
+    if (job.messages.length > MAX_MESSAGES) job.messages.splice(0, job.messages.length - MAX_MESSAGES);
+    if (onProgress) onProgress(job, progress);
+  }
+
+  function recordResult(job, result) {
+    const index = job.results.findIndex(entry => entry.rowNumber === result.rowNumber);
+    if (index === -1) job.results.push(result);
+    else job.results[index] = result;
+    job.results.sort((a, b) => a.rowNumber - b.rowNumber);
+    job.progress.done = job.results.length;
+    job.progress.succeeded = job.results.filter(entry => !entry.error).length;
+    job.progress.failed = job.results.filter(entry => entry.error).length;
+    save(job);
+  }
+
+  async function run(job) {
+    const controller = new AbortController();
+    current = { job, controller };
+    job.status = 'running';
+    job.startedAt = job.startedAt || now();
+    save(job);
+    console.log(`▶️  Job ${job.id}: ${job.type} ${job.fileName}`);
+
+    try {
+      job.progress.total = (await loadCsvRows(job.csvPath)).length;
+      const options = {
+        ...job.options,
+        logPath: job.logPath,
+        signal: controller.signal,
+        onResult: result => recordResult(job, result),
+      };
+      // Carry on from the log of an interrupted attempt, skipping the rows it completed
+      if (fs.existsSync(job.logPath)) options.resume = job.logPath;
+
+      const { results, ...result } = await processors[job.type](job.csvPath, progress => addMessage(job, progress), job.clientId, options);
+      job.results = results;
+      job.result = result;
+      job.status = controller.signal.aborted ? 'cancelled' : 'completed';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      job.validation = error.validation || null;
+      addMessage(job, { type: 'error', message: `❌ ${error.message}` });
+    } finally {
+      job.finishedAt = now();
+      current = null;
+      removeCsv(job);
+      save(job);
+      console.log(`⏹️  Job ${job.id}: ${job.status}`);
+    }
+  }
+
+  async function drain() {
+    if (draining) return;
+    draining = true;
+    try {
+      let next;
+      while ((next = [...jobs.values()].filter(job => job.status === 'queued').sort(byCreated)[0])) {
+        await run(next);
+      }
+    } finally {
+      draining = false;
+    }
+  }
+
+  const startDraining = () => {
+    drain().catch(error => console.error('❌ Job queue error:', error.message));
+  };
+
+  // Pick up the jobs of earlier runs
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json') && !name.endsWith('-log.json'))) {
+    let job;
+    try {
+      job = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+    } catch (error) {
+      console.warn(`⚠️  Skipping unreadable job file ${file}: ${error.message}`);
+      continue;
+    }
+    if (!job?.id) continue;
+    if (job.status === 'running') {
+      // Interrupted: start again unless it was being cancelled or its CSV is gone
+      addMessage(job, { type: 'info', message: '⚠️  The server stopped during this job' });
+      if (job.cancelRequested) {
+        job.status = 'cancelled';
+      } else if (!fs.existsSync(job.csvPath)) {
+        job.status = 'failed';
+        job.error = 'The server stopped during this job and its CSV is gone';
+      } else {
+        job.status = 'queued';
+      }
+      if (job.status !== 'queued') {
+        job.finishedAt = now();
+        removeCsv(job);
+      }
+      save(job);
+    }
+    jobs.set(job.id, job);
+  }
+  startDraining();
+
+  return {
+    /**
+     * Queue a CSV for processing; the file is copied into the job directory, so the caller may delete its copy
+     * Returns the new job.
+     */
+    enqueue(type, { csvPath, fileName = path.basename(csvPath), clientId = null, sessionId = null, options = {} }) {
+      if (!processors[type]) {
+        throw new Error(`Unknown job type "${type}" (available: ${Object.keys(processors).join(', ')})`);
+      }
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const job = {
+        id,
+        type,
+        status: 'queued',
+        fileName,
+        clientId,
+        sessionId,
+        options,
+        csvPath: path.join(dir, `${id}.csv`),
+        logPath: path.join(dir, `${id}-log.json`),
+        createdAt: now(),
+        startedAt: null,
+        finishedAt: null,
+        progress: { total: null, done: 0, succeeded: 0, failed: 0 },
+        cancelRequested: false,
+        error: null,
+        validation: null,
+        result: null,
+        results: [],
+        messages: [],
+      };
+      fs.copyFileSync(csvPath, job.csvPath);
+      jobs.set(id, job);
+      save(job);
+      startDraining();
+      return job;
+    },
+    get(id) {
+      return jobs.get(id) || null;
+    },
+    /**
+     * Jobs newest first, optionally only those with one of `statuses`
+     */
+    list(statuses = null) {
+      return [...jobs.values()]
+        .filter(job => !statuses || statuses.includes(job.status))
+        .sort((a, b) => byCreated(b, a));
+    },
+    /**
+     * Cancel a job: a queued job never starts, a running one finishes the rows in progress and stops
+     * Returns the job, or null when there is no such job; finished jobs are returned unchanged.
+     */
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job || isFinishedJob(job) || job.cancelRequested) return job || null;
+
+      job.cancelRequested = true;
+      if (job.status === 'queued') {
+        job.status = 'cancelled';
+        job.finishedAt = now();
+        removeCsv(job);
+        addMessage(job, { type: 'info', message: '🛑 Cancelled before it started' });
+      } else if (current?.job === job) {
+        current.controller.abort();
+        addMessage(job, { type: 'info', message: '🛑 Cancel requested: finishing the rows in progress...' });
+      }
+      save(job);
+      return job;
+    },
+  };
+}
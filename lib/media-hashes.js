@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+/**
+ * SHA-256 of a file's bytes, used as the identity of an image
+ */
+export function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Resolve the path of the hash map (MEDIA_HASHES_PATH, or media_hashes.json; /tmp on Vercel)
+ */
+function getStorePath() {
+  if (process.env.MEDIA_HASHES_PATH) return path.resolve(process.env.MEDIA_HASHES_PATH);
+  const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+  return isVercel ? path.join('/tmp', 'media_hashes.json') : path.join(ROOT_DIR, 'media_hashes.json');
+}
+
+/**
+ * Read the whole hash map file ({} when it is missing or unreadable)
+ */
+function readStore(storePath) {
+  if (!fs.existsSync(storePath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(storePath, 'utf-8')) || {};
+  } catch (error) {
+    console.warn(`⚠️  Ignoring unreadable media hash map ${storePath}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Open the hash -> attachment id map of one site
+ * The file holds { [wp_site]: { [sha256]: attachmentId } } and is shared by every run on this machine, so each
+ * change re-reads it, applies itself on top and writes it back through a temp file of its own; entries other
+ * runs added in the meantime are kept (and picked up by this run).
+ * pending lets rows uploading the same bytes in parallel share one upload.
+ */
+export function openMediaHashes(siteUrl, storePath = getStorePath()) {
+  const site = { ...readStore(storePath)[siteUrl] };
+  let writeFailed = false;
+
+  function update(change) {
+    change(site);
+    if (writeFailed) return;
+    try {
+      const all = readStore(storePath);
+      all[siteUrl] = { ...all[siteUrl] };
+      change(all[siteUrl]);
+      const tmpPath = `${storePath}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(all, null, 2));
+      fs.renameSync(tmpPath, storePath);
+      Object.assign(site, all[siteUrl]);
+    } catch (error) {
+      // Dedupe still works for the rest of this run, it just isn't remembered
+      writeFailed = true;
+      console.warn(`⚠️  Could not write media hash map ${storePath}: ${error.message}`);
+    }
+  }
+
+  return {
+    pending: new Map(),
+    get(hash) {
+      return site[hash] || null;
+    },
+    set(hash, attachmentId) {
+      update(entries => {
+        entries[hash] = attachmentId;
+      });
+    },
+    delete(hash) {
+      update(entries => {
+        delete entries[hash];
+      });
+    },
+  };
+}
+
+/**
+ * Get the run's media hash map for a site, opening it on first use
+ */
+export function getMediaHashes(runContext, siteUrl) {
+  if (!runContext.mediaHashes) {
+    runContext.mediaHashes = openMediaHashes(siteUrl);
+  }
+  return runContext.mediaHashes;
+}
@@ -0,0 +1,301 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mime from 'mime-types';
+import { hashBuffer } from './media-hashes.js';
+import { diffPostFields } from './post-diff.js';
+import { parseDriveUrl, downloadFromDrive, DRIVE_FAILURE_HINTS } from './google-drive.js';
+import { optimizeImage, describeOptimization } from './image-optimizer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Media search results downloaded at most to compare against a file's hash
+const MAX_SEARCH_CANDIDATES = 5;
+
+/**
+ * Convert Google Drive URL to direct download URL
+ * Folder links are returned unchanged; downloadImageFromUrl picks the image out of the folder.
+ */
+export function convertGoogleDriveUrl(url) {
+  if (!url) return url;
+
+  const link = parseDriveUrl(url);
+  if (link?.type === 'file') {
+    console.log(`   🔄 Converting Google Drive URL to direct link (ID: ${link.id})`);
+    return `https://drive.google.com/uc?export=download&id=${link.id}`;
+  }
+
+  return url;
+}
+
+/**
+ * Download image from URL
+ */
+export async function downloadImageFromUrl(imageUrl) {
+  if (parseDriveUrl(imageUrl)) {
+    try {
+      return await downloadFromDrive(imageUrl);
+    } catch (error) {
+      console.warn(`⚠️  ${error.message}`);
+      console.warn(`   URL: ${imageUrl}`);
+      if (DRIVE_FAILURE_HINTS[error.reason]) {
+        console.warn(`   Action: ${DRIVE_FAILURE_HINTS[error.reason]}`);
+      }
+      return null;
+    }
+  }
+
+  try {
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+      }
+    });
+
+    const contentType = response.headers['content-type'];
+
+    // Check for HTML content (indicates error/login page)
+    if (contentType && contentType.includes('text/html')) {
+      console.warn(`⚠️  Downloaded content is HTML, not an image.`);
+      console.warn(`   URL: ${imageUrl}`);
+      return null;
+    }
+
+    let fileName = 'image.jpg';
+    const contentDisposition = response.headers['content-disposition'];
+
+    // Try to get filename from Content-Disposition
+    if (contentDisposition) {
+      const filenameMatch = contentDisposition.match(/filename="?([^"]+)"?/);
+      if (filenameMatch && filenameMatch[1]) {
+        fileName = filenameMatch[1];
+      }
+    } else {
+      // Fallback to URL path
+      const urlPath = new URL(imageUrl).pathname;
+      fileName = path.basename(urlPath) || 'image';
+    }
+
+    // Ensure filename has correct extension based on Content-Type
+    const extFromMime = mime.extension(contentType);
+    if (extFromMime) {
+      const currentExt = path.extname(fileName).replace('.', '');
+      if (currentExt !== extFromMime) {
+        // If no extension or wrong extension, append the correct one
+        if (!currentExt || currentExt === 'uc') { // 'uc' is common for GDrive export links
+          fileName = `${fileName}.${extFromMime}`;
+        } else {
+          // Replace extension
+          fileName = fileName.replace(new RegExp(`\\.${currentExt}$`), `.${extFromMime}`);
+        }
+      }
+    }
+
+    return {
+      buffer: Buffer.from(response.data),
+      mimeType: contentType || mime.lookup(imageUrl) || 'image/jpeg',
+      fileName: fileName,
+    };
+  } catch (error) {
+    console.error(`⚠️  Failed to download image from URL "${imageUrl}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Find an attachment holding exactly these bytes
+ * Checks the hash map first (dropping ids whose attachment was deleted), then searches the media library
+ * by file name and compares the hash of each candidate's file.
+ */
+async function findExistingMedia(hash, fileBuffer, fileName, apiInstance, mediaHashes) {
+  const knownId = mediaHashes.get(hash);
+  if (knownId) {
+    try {
+      const response = await apiInstance.get(`/media/${knownId}`);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 410) {
+        mediaHashes.delete(hash);
+      } else {
+        console.warn(`⚠️  Could not check media ID ${knownId}: ${error.message}`);
+      }
+    }
+  }
+
+  const searchTerm = path.basename(fileName, path.extname(fileName));
+  if (!searchTerm) return null;
+
+  try {
+    const response = await apiInstance.get('/media', { params: { search: searchTerm, per_page: 20 } });
+    // Skip candidates whose recorded size already rules them out
+    const candidates = (response.data || [])
+      .filter(media => !media.media_details?.filesize || media.media_details.filesize === fileBuffer.length)
+      .slice(0, MAX_SEARCH_CANDIDATES);
+
+    for (const media of candidates) {
+      if (!media.source_url) continue;
+      const download = await axios.get(media.source_url, { responseType: 'arraybuffer', timeout: 30000 });
+      if (hashBuffer(Buffer.from(download.data)) === hash) {
+        return media;
+      }
+    }
+  } catch (error) {
+    console.warn(`⚠️  Media search for "${searchTerm}" failed, uploading a new copy: ${error.message}`);
+  }
+
+  return null;
+}
+
+/**
+ * Read an image from a local path or URL into { buffer, fileName, mimeType }
+ * Local paths are resolved from the project root.
+ */
+async function readImageSource(filePathOrUrl) {
+  let processedUrl = filePathOrUrl.trim();
+
+  // Check if it's a URL (starts with http:// or https://)
+  if (processedUrl.startsWith('http://') || processedUrl.startsWith('https://')) {
+    // Handle Google Drive URLs
+    processedUrl = convertGoogleDriveUrl(processedUrl);
+
+    // Download from URL
+    return downloadImageFromUrl(processedUrl);
+  }
+
+  // Local file path
+  const fullPath = path.resolve(ROOT_DIR, processedUrl);
+
+  if (!fs.existsSync(fullPath)) {
+    console.error(`⚠️  Image file not found: ${fullPath}`);
+    return null;
+  }
+
+  return {
+    buffer: fs.readFileSync(fullPath),
+    fileName: path.basename(fullPath),
+    mimeType: mime.lookup(fullPath) || 'application/octet-stream',
+  };
+}
+
+/**
+ * POST the bytes to /media and return the created attachment
+ */
+async function postMedia(image, apiInstance) {
+  const response = await apiInstance.post('/media', image.buffer, {
+    headers: {
+      'Content-Type': image.mimeType,
+      'Content-Disposition': `attachment; filename="${image.fileName}"`,
+    },
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity,
+  });
+  return response.data;
+}
+
+/**
+ * Upload the bytes, or return the attachment that already holds them when mediaHashes is given
+ */
+async function uploadOrReuse(image, apiInstance, mediaHashes) {
+  if (!mediaHashes) {
+    return postMedia(image, apiInstance);
+  }
+
+  const hash = hashBuffer(image.buffer);
+  if (!mediaHashes.pending.has(hash)) {
+    const uploading = (async () => {
+      const existing = await findExistingMedia(hash, image.buffer, image.fileName, apiInstance, mediaHashes);
+      if (existing) {
+        console.log(`   ♻️  Reusing media ID ${existing.id} (same file as "${image.fileName}")`);
+        mediaHashes.set(hash, existing.id);
+        return { ...existing, reused: true };
+      }
+
+      const media = await postMedia(image, apiInstance);
+      mediaHashes.set(hash, media.id);
+      return media;
+    })().finally(() => mediaHashes.pending.delete(hash));
+    mediaHashes.pending.set(hash, uploading);
+  }
+
+  return mediaHashes.pending.get(hash);
+}
+
+/**
+ * Upload an image to the WordPress media library (from local file or URL)
+ * Options: optimize - settings from getImageOptimizeOptions; the image is resized/re-encoded first and the
+ *                     returned attachment carries the before/after sizes as `optimization`
+ *          mediaHashes - see media-hashes.js; an attachment with the same bytes is reused instead of
+ *                        uploading a copy, and is returned with reused: true
+ * Returns null on failure.
+ */
+export async function uploadMediaItem(filePathOrUrl, apiInstance, { mediaHashes = null, optimize = null } = {}) {
+  if (!filePathOrUrl || !filePathOrUrl.trim()) return null;
+
+  let image = await readImageSource(filePathOrUrl);
+  if (!image) return null;
+
+  try {
+    let optimization = null;
+    if (optimize) {
+      ({ image, report: optimization } = await optimizeImage(image, optimize));
+      console.log(`   🗜️  ${image.fileName}: ${describeOptimization(optimization)}`);
+    }
+
+    const media = await uploadOrReuse(image, apiInstance, mediaHashes);
+    return optimization ? { ...media, optimization } : media;
+  } catch (error) {
+    console.error(`⚠️  Failed to upload media "${filePathOrUrl}": ${error.message}`);
+    if (error.response?.data) {
+      console.error(`   Error details: ${JSON.stringify(error.response.data)}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Work out the alt text, caption and title for an attachment from the featured_image_alt / _caption / _title columns
+ * Explicit columns always count. The post title fills in alt text and title only on attachments this run just
+ * uploaded, so a reused image keeps the details it already has. With `current` (the attachment fetched with
+ * context=edit), values it already has are left out.
+ */
+export function getMediaDetails(media, row, postTitle, current = null) {
+  const details = {};
+
+  const alt = row.featured_image_alt?.trim();
+  const caption = row.featured_image_caption?.trim();
+  const title = row.featured_image_title?.trim();
+  const fallback = media.reused ? '' : (postTitle || '').trim();
+
+  if (alt || fallback) details.alt_text = alt || fallback;
+  if (title || fallback) details.title = title || fallback;
+  if (caption) details.caption = caption;
+
+  if (!current) return details;
+  const { changes } = diffPostFields(current, details);
+  return Object.fromEntries(Object.keys(changes).map(field => [field, details[field]]));
+}
+
+/**
+ * Set alt text, caption and title on an attachment (see getMediaDetails)
+ * Returns the fields that were sent.
+ */
+export async function applyMediaDetails(media, row, postTitle, apiInstance, current = null) {
+  const details = getMediaDetails(media, row, postTitle, current);
+
+  if (Object.keys(details).length === 0) return details;
+
+  try {
+    await apiInstance.post(`/media/${media.id}`, details);
+  } catch (error) {
+    // The image is still usable without them, so don't fail the row
+    console.error(`⚠️  Failed to set alt text/caption/title on media ID ${media.id}: ${error.message}`);
+    return {};
+  }
+
+  return details;
+}
@@ -0,0 +1,122 @@
+import { getPostIndex } from './post-index.js';
+
+/**
+ * Approximate WordPress's sanitize_title() so a parent can be referenced by the slug its title will get
+ */
+export function slugify(title) {
+  return (title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents
+    .replace(/<[^>]*>/g, '')
+    .replace(/&[^;]+;/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/[\s-]+/g, '-');
+}
+
+/**
+ * Announce that a row may create a page under its slug (or the slug of its title)
+ * Must be called before the row's first await: rows start in CSV order, so a later row that names this one
+ * as its parent always finds the entry and can wait for it. Call the returned function when the row is done;
+ * in a dry run a row that would succeed stays listed, since its page is never added to the index.
+ */
+export function trackPendingPage(row, rowNumber, runContext) {
+  if (!runContext.pendingPages) {
+    runContext.pendingPages = new Map();
+  }
+
+  const slug = row.slug?.trim() || slugify(row.title);
+  if (!slug) return () => {};
+
+  let done;
+  const pending = { rowNumber, promise: new Promise(resolve => { done = resolve; }) };
+  if (!runContext.pendingPages.has(slug)) runContext.pendingPages.set(slug, []);
+  runContext.pendingPages.get(slug).push(pending);
+
+  return (succeeded = false) => {
+    done();
+    if (runContext.dryRun && succeeded) return;
+    const pendings = runContext.pendingPages.get(slug);
+    pendings.splice(pendings.indexOf(pending), 1);
+    if (pendings.length === 0) runContext.pendingPages.delete(slug);
+  };
+}
+
+/**
+ * The nearest row before rowNumber that may still create a page with this slug
+ * Later rows (and the row itself) are never returned, so rows can't end up waiting on each other.
+ */
+function findEarlierPendingPage(slug, rowNumber, runContext) {
+  if (rowNumber === null) return null;
+  const earlier = (runContext.pendingPages?.get(slug) || []).filter(pending => pending.rowNumber < rowNumber);
+  return earlier.length > 0 ? earlier.reduce((a, b) => (b.rowNumber > a.rowNumber ? b : a)) : null;
+}
+
+/**
+ * Resolve a parent reference (page ID, slug or "parent/child" slug path) to a page ID
+ * If the parent is being created by an earlier row of this CSV, waits for that row first.
+ * Dry runs don't wait (nothing gets created); they get { id: null, pendingRow } instead.
+ */
+async function resolveParent(reference, postType, apiInstance, runContext, rowNumber) {
+  if (/^\d+$/.test(reference)) {
+    return { id: parseInt(reference, 10), pendingRow: null };
+  }
+
+  const path = reference.replace(/^\/+|\/+$/g, '');
+  const lastSlug = path.split('/').pop().trim();
+  const postIndex = await getPostIndex(runContext, apiInstance, postType.restBase);
+  const find = () => (path.includes('/') ? postIndex.findByPath(path) : postIndex.findBySlug(lastSlug));
+
+  let parent = find();
+  const pending = findEarlierPendingPage(lastSlug, rowNumber, runContext);
+  if (!parent && pending) {
+    if (runContext.dryRun) {
+      return { id: null, pendingRow: pending.rowNumber };
+    }
+    await pending.promise;
+    parent = find();
+  }
+
+  if (!parent) {
+    throw new Error(`Parent ${postType.slug} "${reference}" not found`);
+  }
+  return { id: parent.id, pendingRow: null };
+}
+
+/**
+ * Read the parent, menu_order and template columns of a row
+ * Returns { fields, parentRow }: fields to merge into the post data, and (dry run only) the row that
+ * would create the parent. parent and menu_order are only accepted for hierarchical post types.
+ * rowNumber lets the row wait for a parent that an earlier row of the CSV is still creating.
+ */
+export async function resolvePageAttributes(row, postType, apiInstance, runContext = {}, rowNumber = null) {
+  const fields = {};
+  let parentRow = null;
+
+  const parentReference = row.parent?.trim();
+  const menuOrder = row.menu_order?.trim();
+
+  if ((parentReference || menuOrder) && !postType.hierarchical) {
+    throw new Error(`parent and menu_order need a hierarchical post type such as page (got "${postType.slug}")`);
+  }
+
+  if (parentReference) {
+    const parent = await resolveParent(parentReference, postType, apiInstance, runContext, rowNumber);
+    if (parent.id) fields.parent = parent.id;
+    parentRow = parent.pendingRow;
+  }
+
+  if (menuOrder) {
+    if (!/^-?\d+$/.test(menuOrder)) {
+      throw new Error(`Invalid menu_order "${menuOrder}" (must be a whole number)`);
+    }
+    fields.menu_order = parseInt(menuOrder, 10);
+  }
+
+  if (row.template?.trim()) {
+    fields.template = row.template.trim();
+  }
+
+  return { fields, parentRow };
+}
@@ -0,0 +1,76 @@
+/**
+ * Read the current value of a field from a post fetched with context=edit
+ * Title, content and excerpt compare by their raw value (what the importer writes), not the filtered HTML.
+ */
+function currentValue(existingPost, field) {
+  const value = existingPost[field];
+  if (value && typeof value === 'object' && !Array.isArray(value) && ('raw' in value || 'rendered' in value)) {
+    return value.raw ?? value.rendered;
+  }
+  return value;
+}
+
+/**
+ * Serialize a value with sorted object keys so key order doesn't count as a change
+ */
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Normalize a value for comparison
+ * Strings ignore line endings and surrounding whitespace, term lists their order, GMT dates a trailing Z.
+ */
+function normalize(field, value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return stableJson(value.map(String).sort());
+  if (typeof value === 'object') return stableJson(value);
+  const text = String(value).replace(/\r\n/g, '\n').trim();
+  return field === 'date_gmt' ? text.replace(/(\.\d+)?Z$/, '') : text;
+}
+
+/**
+ * Compare the fields of an update with the current post
+ * ACF values are compared per field group key sent; other keys of the current ACF data are ignored.
+ * Returns { changes: { [field]: { before, after } }, unchanged: [field] } in the order of updateData.
+ */
+export function diffPostFields(existingPost, updateData) {
+  const changes = {};
+  const unchanged = [];
+
+  for (const [field, after] of Object.entries(updateData)) {
+    let before = currentValue(existingPost, field);
+    if (field === 'acf' && after && typeof after === 'object') {
+      const currentAcf = before && typeof before === 'object' ? before : {};
+      before = Object.fromEntries(Object.keys(after).map(key => [key, currentAcf[key] ?? null]));
+    }
+
+    if (normalize(field, before) === normalize(field, after)) {
+      unchanged.push(field);
+    } else {
+      changes[field] = { before: before ?? null, after };
+    }
+  }
+
+  return { changes, unchanged };
+}
+
+/**
+ * Current values of the fields an update is about to change, logged so undo.js can put them back
+ */
+export function snapshotFields(existingPost, updateData) {
+  const { changes } = diffPostFields(existingPost, updateData);
+  return Object.fromEntries(Object.entries(changes).map(([field, { before }]) => [field, before]));
+}
+
+/**
+ * Describe a diff as "3 fields changed / 12 unchanged"
+ */
+export function describeDiff({ changes, unchanged }) {
+  const changed = Object.keys(changes).length;
+  return `${changed} field${changed === 1 ? '' : 's'} changed / ${unchanged.length} unchanged`;
+}
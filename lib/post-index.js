@@ -0,0 +1,185 @@
+/**
+ * Normalize title for comparison (remove HTML entities and tags, trim, lowercase)
+ */
+export function normalizeTitle(str) {
+  if (!str) return '';
+  // Handle common HTML entities first, then remove any remaining
+  return str
+    .replace(/<[^>]*>/g, '') // Remove HTML tags
+    .replace(/&nbsp;/g, ' ') // Replace &nbsp; with space
+    .replace(/&amp;/g, '&') // Replace &amp; with &
+    .replace(/&quot;/g, '"') // Replace &quot; with "
+    .replace(/&#8217;/g, "'") // Replace &#8217; (right single quotation) with '
+    .replace(/&#8216;/g, "'") // Replace &#8216; (left single quotation) with '
+    .replace(/&#39;/g, "'") // Replace &#39; with '
+    .replace(/&#038;/g, '&') // Replace &#038; with &
+    .replace(/&[^;]+;/g, '') // Remove any other HTML entities
+    .replace(/\s+/g, ' ') // Normalize whitespace
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Read the title of a REST post object (rendered, raw or plain string)
+ */
+function getPostTitle(post) {
+  return post.title?.rendered || post.title?.raw || (typeof post.title === 'string' ? post.title : '') || '';
+}
+
+/**
+ * Build an index over a list of posts
+ * Lookups are by normalized title, by slug and by slug path (pages); entries hold { id, title, slug, status, parent }.
+ */
+export function createPostIndex(posts = []) {
+  const byId = new Map();
+  const byTitle = new Map();
+  const bySlug = new Map();
+  const byParentSlug = new Map();
+  const reservedTitles = new Map();
+
+  // Remove a lookup key only when it points at this post; another post may hold the same title or slug
+  function removeKey(map, key, id) {
+    if (map.get(key)?.id !== id) return false;
+    map.delete(key);
+    return true;
+  }
+
+  function add(post) {
+    const existing = byId.get(post.id);
+    if (existing) {
+      byId.delete(existing.id);
+      const oldKey = normalizeTitle(existing.title);
+      if (removeKey(byTitle, oldKey, existing.id)) {
+        // Hand the title over to another post that has it, so it is still found
+        const other = [...byId.values()].find(entry => normalizeTitle(entry.title) === oldKey);
+        if (other) byTitle.set(oldKey, other);
+      }
+      if (existing.slug) removeKey(bySlug, existing.slug, existing.id);
+      if (existing.slug) removeKey(byParentSlug, `${existing.parent}|${existing.slug}`, existing.id);
+    }
+
+    const entry = {
+      id: post.id,
+      title: getPostTitle(post),
+      slug: post.slug || '',
+      status: post.status,
+      parent: post.parent || 0,
+    };
+
+    byId.set(entry.id, entry);
+    const key = normalizeTitle(entry.title);
+    // Keep the first post seen for a title (posts are loaded newest first)
+    if (key && !byTitle.has(key)) byTitle.set(key, entry);
+    if (entry.slug) bySlug.set(entry.slug, entry);
+    if (entry.slug) byParentSlug.set(`${entry.parent}|${entry.slug}`, entry);
+    return entry;
+  }
+
+  posts.forEach(add);
+
+  return {
+    add,
+    findByTitle(title) {
+      return byTitle.get(normalizeTitle(title)) || null;
+    },
+    findBySlug(slug) {
+      return bySlug.get(slug?.trim()) || null;
+    },
+    findById(id) {
+      return byId.get(Number(id)) || null;
+    },
+    /**
+     * Find a page by its slug path ("about/team"), walking down from the top level
+     */
+    findByPath(path) {
+      const segments = path.split('/').map(segment => segment.trim()).filter(Boolean);
+      let entry = null;
+      for (const segment of segments) {
+        entry = byParentSlug.get(`${entry ? entry.id : 0}|${segment}`);
+        if (!entry) return null;
+      }
+      return entry;
+    },
+    /**
+     * Claim a title for a row that is about to create a post
+     * Returns the rowNumber already holding the claim, or null when the claim succeeded.
+     * Stops two rows of the same CSV from both passing the duplicate check when they run in parallel.
+     */
+    reserveTitle(title, rowNumber) {
+      const key = normalizeTitle(title);
+      const holder = reservedTitles.get(key);
+      if (holder !== undefined && holder !== rowNumber) return holder;
+      reservedTitles.set(key, rowNumber);
+      return null;
+    },
+    releaseTitle(title, rowNumber) {
+      const key = normalizeTitle(title);
+      if (reservedTitles.get(key) === rowNumber) reservedTitles.delete(key);
+    },
+    get size() {
+      return byId.size;
+    },
+  };
+}
+
+/**
+ * Page through every post of a type (all statuses except trash) and build the index
+ * Uses X-WP-TotalPages, so there is no upper limit on the number of posts.
+ */
+export async function loadPostIndex(apiInstance, restBase = 'posts') {
+  const posts = [];
+  const perPage = 100;
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    let response;
+    try {
+      response = await apiInstance.get(`/${restBase}`, {
+        params: {
+          per_page: perPage,
+          page,
+          status: 'any',
+          orderby: 'date',
+          order: 'desc',
+          _fields: 'id,title,slug,status,parent',
+        },
+      });
+    } catch (error) {
+      // WordPress answers 400 for a page past the end
+      if (page > 1 && error.response?.status === 400) break;
+      throw error;
+    }
+
+    posts.push(...(response.data || []));
+    totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '1', 10);
+
+    // Fall back to short-page detection if the header is missing
+    if (!response.headers?.['x-wp-totalpages'] && response.data?.length === perPage) {
+      totalPages = page + 1;
+    }
+    page++;
+  } while (page <= totalPages);
+
+  console.log(`📚 Indexed ${posts.length} existing ${restBase === 'posts' ? 'post(s)' : restBase}`);
+  return createPostIndex(posts);
+}
+
+/**
+ * Get the run's post index for a post type (REST base), loading it on first use
+ * The promises are stored on runContext.postIndexes so concurrent workers share a single load.
+ */
+export function getPostIndex(runContext, apiInstance, restBase = 'posts') {
+  if (!runContext.postIndexes) {
+    runContext.postIndexes = new Map();
+  }
+  if (!runContext.postIndexes.has(restBase)) {
+    const load = loadPostIndex(apiInstance, restBase);
+    // A failed load is not kept, so the next row tries again
+    load.catch(() => {
+      if (runContext.postIndexes.get(restBase) === load) runContext.postIndexes.delete(restBase);
+    });
+    runContext.postIndexes.set(restBase, load);
+  }
+  return runContext.postIndexes.get(restBase);
+}
@@ -0,0 +1,97 @@
+/**
+ * Built-in "post" type, used when neither the row nor the run names a post type
+ */
+export const DEFAULT_POST_TYPE = {
+  slug: 'post',
+  name: 'Posts',
+  restBase: 'posts',
+  taxonomies: ['category', 'post_tag'],
+  hierarchical: false,
+};
+
+/**
+ * Load a registry endpoint (/types or /taxonomies) once per run
+ * The promise is stored on runContext under `key`; a failed load is dropped so the next row can retry.
+ */
+function loadRegistry(runContext, key, apiInstance, endpoint) {
+  if (!runContext[key]) {
+    runContext[key] = apiInstance.get(endpoint, { params: { context: 'view' } }).then(response => response.data || {});
+    runContext[key].catch(() => { runContext[key] = null; });
+  }
+  return runContext[key];
+}
+
+/**
+ * Find a registry entry by slug, REST base or label (case-insensitive)
+ */
+function findEntry(registry, value) {
+  const wanted = value.trim().toLowerCase();
+  return Object.values(registry).find(entry =>
+    [entry.slug, entry.rest_base, entry.name].some(candidate => candidate?.toLowerCase() === wanted)
+  ) || null;
+}
+
+/**
+ * Resolve a post type name ("event", "events", "Events") to its REST base via /types
+ */
+export async function resolvePostType(value, apiInstance, runContext = {}) {
+  if (!value || !value.trim() || ['post', 'posts'].includes(value.trim().toLowerCase())) {
+    return DEFAULT_POST_TYPE;
+  }
+
+  const types = await loadRegistry(runContext, 'postTypes', apiInstance, '/types');
+  const entry = findEntry(types, value);
+  if (!entry) {
+    const available = Object.values(types).map(type => type.slug).join(', ');
+    throw new Error(`Unknown post type "${value.trim()}" (available: ${available || 'none'})`);
+  }
+  if (!entry.rest_base) {
+    throw new Error(`Post type "${entry.slug}" is not available in the REST API (show_in_rest is off)`);
+  }
+
+  return {
+    slug: entry.slug,
+    name: entry.name,
+    restBase: entry.rest_base,
+    taxonomies: entry.taxonomies || [],
+    hierarchical: !!entry.hierarchical,
+  };
+}
+
+/**
+ * Resolve a taxonomy name ("event_type", "event-types", "Event Types") via /taxonomies
+ */
+export async function resolveTaxonomy(value, apiInstance, runContext = {}) {
+  const taxonomies = await loadRegistry(runContext, 'taxonomies', apiInstance, '/taxonomies');
+  const entry = findEntry(taxonomies, value);
+  if (!entry) {
+    const available = Object.values(taxonomies).map(taxonomy => taxonomy.slug).join(', ');
+    throw new Error(`Unknown taxonomy "${value.trim()}" (available: ${available || 'none'})`);
+  }
+  if (!entry.rest_base) {
+    throw new Error(`Taxonomy "${entry.slug}" is not available in the REST API (show_in_rest is off)`);
+  }
+
+  return {
+    slug: entry.slug,
+    restBase: entry.rest_base,
+    hierarchical: !!entry.hierarchical,
+  };
+}
+
+/**
+ * REST bases of the post types a taxonomy is registered for (by taxonomy slug)
+ */
+export async function getPostTypesWithTaxonomy(taxonomySlug, apiInstance, runContext = {}) {
+  const types = await loadRegistry(runContext, 'postTypes', apiInstance, '/types');
+  return Object.values(types)
+    .filter(type => type.rest_base && (type.taxonomies || []).includes(taxonomySlug))
+    .map(type => type.rest_base);
+}
+
+/**
+ * Post type for a row: the post_type column wins over the run's default (--post-type)
+ */
+export function getRowPostType(row, runContext = {}) {
+  return row.post_type?.trim() || runContext.postType || '';
+}
@@ -0,0 +1,120 @@
+// YYYY-MM-DD, optionally followed by a time (HH:MM or HH:MM:SS) and a Z/+HH:MM offset
+const DATE_FORMAT = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Parse a date / publish_at value into its parts, or null when it isn't a real date in a supported format
+ * offsetMinutes is null when the value has no offset and is meant in the site's timezone.
+ */
+export function parseDateValue(value) {
+  const match = (value || '').trim().match(DATE_FORMAT);
+  if (!match) return null;
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', offset] = match;
+  const parts = {
+    year: Number(year), month: Number(month), day: Number(day),
+    hour: Number(hour), minute: Number(minute), second: Number(second),
+    offsetMinutes: null,
+  };
+
+  const check = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  if (check.getUTCMonth() !== parts.month - 1 || check.getUTCDate() !== parts.day || parts.hour > 23 || parts.minute > 59 || parts.second > 59) {
+    return null;
+  }
+
+  if (offset === 'Z') {
+    parts.offsetMinutes = 0;
+  } else if (offset) {
+    const [, sign, hours, minutes] = offset.match(/([+-])(\d{2}):?(\d{2})/);
+    parts.offsetMinutes = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+  }
+
+  return parts;
+}
+
+/**
+ * Load the site's timezone from the /wp-json index once per run
+ * Returns { timezone, gmtOffset, label }: timezone is the IANA name (empty when the site uses a fixed
+ * "UTC+5"-style offset) and gmtOffset the offset in hours.
+ */
+export function getSiteTimezone(apiInstance, siteUrl, runContext = {}) {
+  if (!runContext.siteTimezone) {
+    runContext.siteTimezone = apiInstance.get('/', { baseURL: `${siteUrl}/wp-json`, params: { _fields: 'timezone_string,gmt_offset' } })
+      .then(response => {
+        const timezone = response.data?.timezone_string || '';
+        const gmtOffset = Number(response.data?.gmt_offset) || 0;
+        const label = timezone || `UTC${gmtOffset >= 0 ? '+' : ''}${gmtOffset}`;
+        console.log(`🕒 Site timezone: ${label}`);
+        return { timezone, gmtOffset, label };
+      });
+    runContext.siteTimezone.catch(() => { runContext.siteTimezone = null; });
+  }
+  return runContext.siteTimezone;
+}
+
+/**
+ * Offset of an IANA timezone from UTC at a given instant, in minutes
+ */
+function zoneOffsetMinutes(timeZone, utcMs) {
+  const fields = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(new Date(utcMs)).map(part => [part.type, part.value])
+  );
+  const wallMs = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  return Math.round((wallMs - utcMs) / 60000);
+}
+
+/**
+ * Turn parsed date parts into a UTC Date, reading times without an offset in the site's timezone
+ */
+export function toUtcDate(parts, siteTimezone) {
+  const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  if (parts.offsetMinutes !== null) {
+    return new Date(wallMs - parts.offsetMinutes * 60000);
+  }
+  if (!siteTimezone.timezone) {
+    return new Date(wallMs - siteTimezone.gmtOffset * 3600000);
+  }
+
+  // The offset depends on the instant (DST), so correct the first guess once
+  let utcMs = wallMs - zoneOffsetMinutes(siteTimezone.timezone, wallMs) * 60000;
+  utcMs = wallMs - zoneOffsetMinutes(siteTimezone.timezone, utcMs) * 60000;
+  return new Date(utcMs);
+}
+
+/**
+ * Work out the publish date of a row from its publish_at or date column (publish_at wins)
+ * status is the status the post will have. A future date turns "publish" into "future" (scheduled);
+ * a past date turns "future" into "publish", so migrated content can be backdated.
+ * Returns null without a date column, otherwise { fields: { date_gmt, status }, scheduled, local } where
+ * local is the date as written plus the timezone it was read in, for messages.
+ */
+export async function resolvePublishDate(row, status, apiInstance, siteUrl, runContext = {}) {
+  const value = row.publish_at?.trim() || row.date?.trim();
+  if (!value) return null;
+
+  const column = row.publish_at?.trim() ? 'publish_at' : 'date';
+  const parts = parseDateValue(value);
+  if (!parts) {
+    throw new Error(`Invalid ${column} "${value}" (use YYYY-MM-DD or YYYY-MM-DD HH:MM)`);
+  }
+
+  const siteTimezone = parts.offsetMinutes === null
+    ? await getSiteTimezone(apiInstance, siteUrl, runContext)
+    : null;
+  const utc = toUtcDate(parts, siteTimezone);
+  const inFuture = utc.getTime() > Date.now();
+
+  let finalStatus = status;
+  if (inFuture && status === 'publish') finalStatus = 'future';
+  if (!inFuture && status === 'future') finalStatus = 'publish';
+
+  return {
+    // date_gmt is unambiguous; WordPress derives the local date from it
+    fields: { date_gmt: utc.toISOString().slice(0, 19), ...(finalStatus ? { status: finalStatus } : {}) },
+    scheduled: finalStatus === 'future',
+    local: `${value}${siteTimezone ? ` (${siteTimezone.label})` : ''}`,
+  };
+}
@@ -0,0 +1,277 @@
+import { normalizeTitle } from './post-index.js';
+import { resolveTaxonomy } from './post-types.js';
+
+/**
+ * Key used to match term names (case-insensitive, HTML entities decoded)
+ */
+function termKey(name) {
+  return normalizeTitle(name);
+}
+
+/**
+ * Page through every term of a taxonomy
+ */
+async function fetchAllTerms(apiInstance, taxonomy) {
+  const terms = [];
+  const perPage = 100;
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const response = await apiInstance.get(`/${taxonomy}`, {
+      params: { per_page: perPage, page, hide_empty: false, _fields: 'id,name,slug,parent' },
+    });
+    terms.push(...(response.data || []));
+    totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '1', 10);
+    page++;
+  } while (page <= totalPages);
+
+  return terms;
+}
+
+/**
+ * Create the in-memory store for one taxonomy
+ * byName keeps the first term seen for a name (any parent); byParent scopes names to their parent id.
+ * pending dedupes creates of the same name by parallel rows.
+ */
+function createTermStore(terms = []) {
+  const byId = new Map();
+  const byName = new Map();
+  const byParent = new Map();
+  const pending = new Map();
+
+  function add(term) {
+    byId.set(term.id, term);
+    const key = termKey(term.name);
+    if (!key) return term;
+    if (!byName.has(key)) byName.set(key, term);
+    const scopedKey = `${term.parent || 0}|${key}`;
+    if (!byParent.has(scopedKey)) byParent.set(scopedKey, term);
+    return term;
+  }
+
+  terms.forEach(add);
+
+  return {
+    add,
+    pending,
+    /**
+     * Find a term by name; pass a parent id (0 for top level) to only match children of that parent
+     */
+    find(name, parent = null) {
+      if (parent === null) return byName.get(termKey(name)) || null;
+      return byParent.get(`${parent}|${termKey(name)}`) || null;
+    },
+    findById(id) {
+      return byId.get(Number(id)) || null;
+    },
+  };
+}
+
+/**
+ * Get the run's term store for a taxonomy, preloading it on first use
+ * The cache lives on runContext.termCache and is shared by all workers of the run.
+ */
+function getTermStore(taxonomy, apiInstance, runContext) {
+  if (!runContext.termCache) {
+    runContext.termCache = new Map();
+  }
+
+  if (!runContext.termCache.has(taxonomy)) {
+    const loading = fetchAllTerms(apiInstance, taxonomy).then((terms) => {
+      console.log(`🏷️  Cached ${terms.length} existing ${taxonomy}`);
+      return createTermStore(terms);
+    });
+    // Drop a failed preload so the next row can try again
+    loading.catch(() => runContext.termCache.delete(taxonomy));
+    runContext.termCache.set(taxonomy, loading);
+  }
+
+  return runContext.termCache.get(taxonomy);
+}
+
+/**
+ * Split a "Food > Brunch > Weekend" path into its segments
+ * Only hierarchical taxonomies have paths; a tag containing ">" is kept as a single name.
+ */
+function splitTermPath(value, hierarchical) {
+  if (!hierarchical) return [value];
+  return value.split('>').map(segment => segment.trim()).filter(Boolean);
+}
+
+/**
+ * Get or create a taxonomy term (category or tag)
+ * With a parent id (0 for top level) an existing term only matches when it sits under that parent,
+ * and a new term is created under it.
+ */
+export async function getOrCreateTerm(name, taxonomy, apiInstance, runContext = {}, parent = null) {
+  if (!name || !name.trim()) return null;
+
+  const trimmedName = name.trim();
+
+  try {
+    const store = await getTermStore(taxonomy, apiInstance, runContext);
+
+    const existing = store.find(trimmedName, parent);
+    if (existing) {
+      return existing.id;
+    }
+
+    // Another row is already creating this term; wait for it instead of creating it twice
+    const key = `${parent || 0}|${termKey(trimmedName)}`;
+    if (!store.pending.has(key)) {
+      const body = parent ? { name: trimmedName, parent } : { name: trimmedName };
+      const creating = apiInstance.post(`/${taxonomy}`, body)
+        .then(response => store.add(response.data).id)
+        .catch((error) => {
+          // Created outside this run since the cache was loaded
+          const existingId = error.response?.data?.code === 'term_exists' && error.response.data.data?.term_id;
+          if (existingId) {
+            store.add({ id: existingId, name: trimmedName, parent: parent || 0 });
+            return existingId;
+          }
+          throw error;
+        })
+        .finally(() => store.pending.delete(key));
+      store.pending.set(key, creating);
+    }
+
+    return await store.pending.get(key);
+  } catch (error) {
+    console.error(`⚠️  Failed to get/create ${taxonomy} "${trimmedName}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resolve a "Parent > Child > Grandchild" path, creating missing levels
+ * Returns the id of the last segment, or null if any level could not be resolved.
+ */
+async function resolveTermPath(segments, taxonomy, apiInstance, runContext) {
+  let parent = 0;
+  for (const segment of segments) {
+    parent = await getOrCreateTerm(segment, taxonomy, apiInstance, runContext, parent);
+    if (!parent) return null;
+  }
+  return parent;
+}
+
+/**
+ * Resolve multiple terms from comma-separated string
+ * A single name matches an existing term under any parent; a path is matched level by level from the top.
+ * Paths are only split for hierarchical taxonomies (categories unless options.hierarchical says otherwise).
+ */
+export async function resolveTerms(termString, taxonomy, apiInstance, runContext = {}, { hierarchical = taxonomy === 'categories' } = {}) {
+  if (!termString || !termString.trim()) return [];
+
+  const names = termString.split(',').map(n => n.trim()).filter(Boolean);
+  const termIds = [];
+
+  for (const name of names) {
+    const segments = splitTermPath(name, hierarchical);
+    const id = segments.length > 1
+      ? await resolveTermPath(segments, taxonomy, apiInstance, runContext)
+      : await getOrCreateTerm(segments[0], taxonomy, apiInstance, runContext);
+    if (id && !termIds.includes(id)) {
+      termIds.push(id);
+    }
+  }
+
+  return termIds;
+}
+
+/**
+ * Look up terms without creating them (dry run)
+ * Returns the ids that already exist and the names (or paths) a real run would create.
+ */
+export async function planTerms(termString, taxonomy, apiInstance, runContext = {}, { hierarchical = taxonomy === 'categories' } = {}) {
+  const plan = { existing: [], toCreate: [] };
+  if (!termString || !termString.trim()) return plan;
+
+  const store = await getTermStore(taxonomy, apiInstance, runContext);
+  const names = termString.split(',').map(n => n.trim()).filter(Boolean);
+
+  for (const name of names) {
+    const segments = splitTermPath(name, hierarchical);
+    let existing = null;
+
+    if (segments.length > 1) {
+      let parent = 0;
+      for (const segment of segments) {
+        existing = store.find(segment, parent);
+        if (!existing) break;
+        parent = existing.id;
+      }
+    } else {
+      existing = store.find(segments[0]);
+    }
+
+    if (existing) {
+      plan.existing.push(existing.id);
+    } else {
+      plan.toCreate.push(segments.join(' > '));
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Resolve the tax:<taxonomy> columns of a row for the given post type
+ * Returns { terms: { [restBase]: ids }, toCreate: { [restBase]: names } }; with runContext.dryRun terms are only looked up.
+ */
+export async function resolveTaxonomyColumns(row, postType, apiInstance, runContext = {}) {
+  const terms = {};
+  const toCreate = {};
+
+  for (const [column, value] of Object.entries(row)) {
+    if (!column.startsWith('tax:') || !value?.trim()) continue;
+
+    const taxonomy = await resolveTaxonomy(column.slice(4), apiInstance, runContext);
+    if (postType.taxonomies.length && !postType.taxonomies.includes(taxonomy.slug)) {
+      throw new Error(`Taxonomy "${taxonomy.slug}" is not registered for post type "${postType.slug}"`);
+    }
+
+    const options = { hierarchical: taxonomy.hierarchical };
+    if (runContext.dryRun) {
+      const termPlan = await planTerms(value, taxonomy.restBase, apiInstance, runContext, options);
+      if (termPlan.toCreate.length) toCreate[taxonomy.restBase] = termPlan.toCreate;
+    } else {
+      const termIds = await resolveTerms(value, taxonomy.restBase, apiInstance, runContext, options);
+      if (termIds.length) terms[taxonomy.restBase] = termIds;
+    }
+  }
+
+  return { terms, toCreate };
+}
+
+/**
+ * Decode the HTML entities WordPress puts in term names ("Tips &amp; Tricks")
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Turn term ids back into the names a CSV column takes ("Food > Brunch, News")
+ * Terms of hierarchical taxonomies are written as their full path so a re-import files them under the same parents.
+ */
+export async function describeTerms(termIds, taxonomy, apiInstance, runContext = {}, { hierarchical = taxonomy === 'categories' } = {}) {
+  if (!termIds?.length) return '';
+  const store = await getTermStore(taxonomy, apiInstance, runContext);
+
+  return termIds.map((id) => {
+    const names = [];
+    let term = store.findById(id);
+    while (term) {
+      names.unshift(decodeEntities(term.name));
+      term = hierarchical && term.parent ? store.findById(term.parent) : null;
+    }
+    return names.join(' > ');
+  }).filter(Boolean).join(', ');
+}
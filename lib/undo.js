@@ -0,0 +1,277 @@
+import path from 'path';
+import { resolvePostType, resolveTaxonomy, getPostTypesWithTaxonomy } from './post-types.js';
+
+/**
+ * Whether a failed request means the item is already gone
+ */
+function isGone(error) {
+  return error.response?.status === 404 || error.response?.status === 410;
+}
+
+/**
+ * Turn a logged snapshot back into an update body
+ * Fields the site didn't return before the run (logged as null) are cleared.
+ */
+function restoreBody(snapshot) {
+  return Object.fromEntries(Object.entries(snapshot).map(([field, value]) => [field, value ?? '']));
+}
+
+/**
+ * Undo one logged row: delete the post it created, or put back the fields (and featured image details) it overwrote
+ * Returns { rowNumber, title, action, postId, postType, status, error, fields? }.
+ */
+async function undoEntry(entry, apiInstance, runContext, dryRun) {
+  const outcome = {
+    rowNumber: entry.rowNumber,
+    title: entry.title,
+    action: null,
+    postId: entry.postId,
+    postType: entry.postType,
+    status: null,
+    error: null,
+  };
+
+  try {
+    const postType = await resolvePostType(entry.postType || '', apiInstance, runContext);
+
+    if (entry.action === 'created') {
+      if (dryRun) {
+        outcome.action = 'would-delete';
+        return outcome;
+      }
+      try {
+        await apiInstance.delete(`/${postType.restBase}/${entry.postId}`, { params: { force: true } });
+        outcome.action = 'deleted';
+      } catch (error) {
+        if (!isGone(error)) throw error;
+        outcome.action = 'already-deleted';
+      }
+      return outcome;
+    }
+
+    if (entry.action === 'updated') {
+      if (!entry.snapshot) {
+        throw new Error('No snapshot in the log (the run was made before undo support); restore this post by hand');
+      }
+      const mediaFields = Object.keys(entry.mediaSnapshot?.fields || {});
+      outcome.fields = [...Object.keys(entry.snapshot), ...mediaFields.map(field => `featured image ${field}`)];
+      if (outcome.fields.length === 0) {
+        outcome.action = 'unchanged';
+        return outcome;
+      }
+      if (dryRun) {
+        outcome.action = 'would-restore';
+        return outcome;
+      }
+      if (Object.keys(entry.snapshot).length > 0) {
+        const response = await apiInstance.post(`/${postType.restBase}/${entry.postId}`, restoreBody(entry.snapshot));
+        outcome.status = response.data.status;
+      }
+      if (mediaFields.length > 0) {
+        try {
+          await apiInstance.post(`/media/${entry.mediaSnapshot.mediaId}`, restoreBody(entry.mediaSnapshot.fields));
+        } catch (error) {
+          // An attachment deleted since has no details left to restore
+          if (!isGone(error)) throw error;
+        }
+      }
+      outcome.action = 'restored';
+      return outcome;
+    }
+
+    outcome.action = 'unchanged';
+  } catch (error) {
+    outcome.error = error.message;
+    if (error.response?.data) {
+      outcome.error = `${error.message}: ${JSON.stringify(error.response.data)}`;
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Collect the attachments featured by any post of the given types (all statuses but trash)
+ */
+async function loadFeaturedMediaIds(apiInstance, restBases) {
+  const ids = new Set();
+
+  for (const restBase of restBases) {
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const response = await apiInstance.get(`/${restBase}`, {
+        params: { per_page: 100, page, status: 'any', _fields: 'id,featured_media' },
+      });
+      (response.data || []).forEach(post => post.featured_media && ids.add(post.featured_media));
+      totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '1', 10);
+      page++;
+    } while (page <= totalPages);
+  }
+
+  return ids;
+}
+
+/**
+ * Find what still uses an attachment: a featured image, or content mentioning its file name
+ * The name is searched without extension so resized copies (photo-300x200.jpg) count too.
+ * Returns a reason, null when unused, or 'gone' when the attachment no longer exists.
+ */
+async function findMediaUse(mediaId, apiInstance, restBases, featuredIds) {
+  let media;
+  try {
+    media = (await apiInstance.get(`/media/${mediaId}`)).data;
+  } catch (error) {
+    if (isGone(error)) return 'gone';
+    throw error;
+  }
+
+  if (featuredIds.has(mediaId)) return 'featured image of another post';
+
+  const fileName = media.source_url ? path.basename(new URL(media.source_url).pathname) : '';
+  const searchTerm = path.basename(fileName, path.extname(fileName));
+  if (!searchTerm) return null;
+
+  for (const restBase of restBases) {
+    const response = await apiInstance.get(`/${restBase}`, {
+      params: { search: searchTerm, status: 'any', per_page: 1, _fields: 'id' },
+    });
+    if ((response.data || []).length > 0) return `referenced by ${restBase} ${response.data[0].id}`;
+  }
+
+  return null;
+}
+
+/**
+ * Find what still uses a term: a post of any type it is registered for, or a child term
+ * Returns a reason, null when unused, or 'gone' when the term no longer exists.
+ */
+async function findTermUse(termId, taxonomyRestBase, apiInstance, runContext) {
+  try {
+    await apiInstance.get(`/${taxonomyRestBase}/${termId}`);
+  } catch (error) {
+    if (isGone(error)) return 'gone';
+    throw error;
+  }
+
+  const taxonomy = await resolveTaxonomy(taxonomyRestBase, apiInstance, runContext);
+  if (taxonomy.hierarchical) {
+    const children = await apiInstance.get(`/${taxonomyRestBase}`, { params: { parent: termId, per_page: 1 } });
+    if ((children.data || []).length > 0) return `parent of term ${children.data[0].id}`;
+  }
+
+  for (const restBase of await getPostTypesWithTaxonomy(taxonomy.slug, apiInstance, runContext)) {
+    const response = await apiInstance.get(`/${restBase}`, {
+      params: { [taxonomyRestBase]: termId, status: 'any', per_page: 1, _fields: 'id' },
+    });
+    if ((response.data || []).length > 0) return `assigned to ${restBase} ${response.data[0].id}`;
+  }
+
+  return null;
+}
+
+/**
+ * Delete media and terms the run created, newest first, unless something else now uses them
+ * Returns [{ kind: "media" or the taxonomy rest base, id, action, reason?, error? }].
+ */
+async function removeCreatedItems(items, apiInstance, runContext, { dryRun, restBases }) {
+  const outcomes = [];
+  let featuredIds = null;
+
+  for (const { endpoint, id } of [...items].reverse()) {
+    const kind = endpoint.replace(/^\//, '');
+    const outcome = { kind, id, action: null };
+
+    try {
+      if (dryRun) {
+        outcome.action = 'would-delete-if-unused';
+      } else {
+        let use;
+        if (kind === 'media') {
+          featuredIds = featuredIds || await loadFeaturedMediaIds(apiInstance, restBases);
+          use = await findMediaUse(id, apiInstance, restBases, featuredIds);
+        } else {
+          use = await findTermUse(id, kind, apiInstance, runContext);
+        }
+
+        if (use === 'gone') {
+          outcome.action = 'already-deleted';
+        } else if (use) {
+          outcome.action = 'kept';
+          outcome.reason = use;
+        } else {
+          await apiInstance.delete(`/${kind}/${id}`, { params: { force: true } });
+          outcome.action = 'deleted';
+        }
+      }
+    } catch (error) {
+      outcome.error = error.message;
+    }
+
+    outcomes.push(outcome);
+  }
+
+  return outcomes;
+}
+
+/**
+ * Undo a run from its log (import_log.json / update_log.json)
+ * Posts the run created are deleted, posts it updated get their logged snapshot back (last row first).
+ * Media and terms it created are then deleted when no remaining post or term uses them.
+ * Options: dryRun - only report what would be undone
+ *          progressCallback - receives { type, message } per step, like the import scripts
+ * Returns { posts, items, failed }.
+ */
+export async function undoRun(entries, apiInstance, { dryRun = false, progressCallback = null } = {}) {
+  if (entries.some(entry => entry.action?.startsWith('would-'))) {
+    throw new Error('This is a dry-run plan, nothing was written that could be undone');
+  }
+
+  const runContext = {};
+  const report = (type, message) => {
+    if (type === 'error') console.error(message);
+    else console.log(message);
+    if (progressCallback) progressCallback({ type, message });
+  };
+
+  const posts = [];
+  const rows = entries.filter(entry => !entry.error && entry.postId).sort((a, b) => b.rowNumber - a.rowNumber);
+  for (const entry of rows) {
+    const outcome = await undoEntry(entry, apiInstance, runContext, dryRun);
+    posts.push(outcome);
+    if (outcome.action === 'unchanged') continue;
+
+    const label = `[${entry.rowNumber}] ${outcome.postType || 'post'} ${entry.postId}: ${entry.title}`;
+    if (outcome.error) {
+      report('error', `❌ ${label} - ${outcome.error}`);
+    } else {
+      const fields = outcome.fields ? ` (${outcome.fields.join(', ')})` : '';
+      report(dryRun ? 'info' : 'success', `${dryRun ? '🧪' : '↩️ '} ${outcome.action} ${label}${fields}`);
+    }
+  }
+
+  // Everything else the rows created (failed rows too: their image may have uploaded before the post failed)
+  const postEndpoints = new Set();
+  for (const entry of entries) {
+    try {
+      postEndpoints.add(`/${(await resolvePostType(entry.postType || '', apiInstance, runContext)).restBase}`);
+    } catch {
+      // A row with an unknown post type created no post
+    }
+  }
+  const created = entries.flatMap(entry => entry.created || []).filter(item => !postEndpoints.has(item.endpoint));
+  const restBases = [...new Set([...postEndpoints].map(endpoint => endpoint.slice(1)).concat('posts', 'pages'))];
+
+  const items = await removeCreatedItems(created, apiInstance, runContext, { dryRun, restBases });
+  for (const item of items) {
+    const label = `${item.kind === 'media' ? 'media' : `${item.kind} term`} ${item.id}`;
+    if (item.error) {
+      report('error', `❌ ${label} - ${item.error}`);
+    } else {
+      report('info', `${dryRun ? '🧪' : item.action === 'kept' ? '📌' : '🗑️ '} ${item.action} ${label}${item.reason ? ` (${item.reason})` : ''}`);
+    }
+  }
+
+  const failed = posts.filter(outcome => outcome.error).length + items.filter(item => item.error).length;
+  return { posts, items, failed };
+}
@@ -0,0 +1,227 @@
+import csv from 'csv-parser';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { checkImageSource } from './dry-run.js';
+import { parseDateValue } from './schedule.js';
+import { DUPLICATE_POLICIES } from './duplicates.js';
+import { normalizeTitle } from './post-index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+export const ALLOWED_STATUSES = ['publish', 'draft', 'pending', 'private', 'future'];
+
+// Columns the importers read; tax:<taxonomy> columns are recognized by prefix
+const KNOWN_COLUMNS = new Set([
+  'title', 'content', 'status', 'slug', 'excerpt', 'author', 'categories', 'tags', 'post_type',
+  'parent', 'menu_order', 'template', 'date', 'publish_at', 'acf_json',
+  'featured_image_path', 'featured_image_url', 'featured_image_alt', 'featured_image_caption', 'featured_image_title',
+  'meta_title', 'meta_description', 'focus_keyword', 'on_duplicate',
+]);
+const UPDATE_COLUMNS = new Set(['post_id']);
+
+// What WordPress keeps of a slug: lowercase letters (any script), digits, hyphens and underscores
+const SLUG_FORMAT = /^[\p{Ll}\p{Lo}\p{N}_-]+$/u;
+
+/**
+ * Read a CSV into an array of row objects (paths are resolved from the project root)
+ */
+export function loadCsvRows(filePath) {
+  return new Promise((resolve, reject) => {
+    const fullPath = path.isAbsolute(filePath) ? filePath : path.resolve(ROOT_DIR, filePath);
+    if (!fs.existsSync(fullPath)) {
+      reject(new Error(`CSV file not found: ${fullPath}`));
+      return;
+    }
+
+    const rows = [];
+    fs.createReadStream(fullPath)
+      .pipe(csv())
+      .on('data', (data) => rows.push(data))
+      .on('end', () => resolve(rows))
+      .on('error', (error) => reject(error));
+  });
+}
+
+/**
+ * Check every row of a CSV against what the importer expects, without touching WordPress
+ * mode 'upload' requires title and content, mode 'update' requires post_id, slug or title.
+ * onDuplicate is the run's policy for same-title rows (rows can override it with an on_duplicate column).
+ * With checkUrls, featured image URLs are fetched (first byte only, each URL once) to see that they are reachable.
+ * Returns { rows, valid, errors, warnings }; each issue is { row, column, message } where row is the 1-based
+ * data row (as in the import logs) or null for problems with the header.
+ * Errors would make a row fail or lose data; warnings are worth a look but don't stop an import.
+ */
+export async function validateRows(rows, { mode = 'upload', checkUrls = false, onDuplicate = 'fail' } = {}) {
+  const errors = [];
+  const warnings = [];
+  const columns = Object.keys(rows[0] || {});
+  const value = (row, column) => (row[column] || '').trim();
+
+  if (rows.length === 0) {
+    errors.push({ row: null, column: null, message: 'CSV file has no data rows' });
+  }
+
+  // Header
+  const required = mode === 'update' ? [] : ['title', 'content'];
+  for (const column of required) {
+    if (rows.length > 0 && !columns.includes(column)) {
+      errors.push({ row: null, column, message: `Missing required column "${column}"` });
+    }
+  }
+  if (mode === 'update' && rows.length > 0 && !['post_id', 'slug', 'title'].some(column => columns.includes(column))) {
+    errors.push({ row: null, column: null, message: 'Missing identifier column: add post_id, slug or title' });
+  }
+  for (const column of columns) {
+    const known = KNOWN_COLUMNS.has(column) || column.startsWith('tax:') || (mode === 'update' && UPDATE_COLUMNS.has(column));
+    if (!known) {
+      warnings.push({ row: null, column, message: `Unknown column "${column}" is ignored` });
+    }
+  }
+
+  const titles = new Map();
+  const slugs = new Map();
+  const imageUrls = new Map();
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+    const error = (column, message) => errors.push({ row: rowNumber, column, message });
+
+    if (mode === 'update') {
+      const postId = value(row, 'post_id');
+      if (postId && !/^\d+$/.test(postId)) {
+        error('post_id', `post_id must be a number, got "${postId}"`);
+      }
+      if (!postId && !value(row, 'slug') && !value(row, 'title')) {
+        error(null, 'Missing identifier: must provide post_id, slug, or title');
+      }
+    } else {
+      if (!value(row, 'title')) error('title', 'Missing required field: title');
+      if (!value(row, 'content')) error('content', 'Missing required field: content');
+
+      // A second row with the same title (compared like the upload does) follows its duplicate policy; "fail" refuses it
+      const policy = value(row, 'on_duplicate').toLowerCase();
+      if (policy && !DUPLICATE_POLICIES.includes(policy)) {
+        error('on_duplicate', `Invalid on_duplicate "${value(row, 'on_duplicate')}" (allowed: ${DUPLICATE_POLICIES.join(', ')})`);
+      }
+      const title = normalizeTitle(value(row, 'title'));
+      if (title) {
+        if (titles.has(title)) {
+          const rowPolicy = policy || onDuplicate;
+          if (rowPolicy === 'fail') {
+            error('title', `Same title as row ${titles.get(title)}; duplicate posts are not allowed`);
+          } else if (rowPolicy !== 'create-anyway') {
+            warnings.push({ row: rowNumber, column: 'title', message: `Same title as row ${titles.get(title)}; on_duplicate "${rowPolicy}" applies` });
+          }
+        } else {
+          titles.set(title, rowNumber);
+        }
+      }
+    }
+
+    const status = value(row, 'status');
+    if (status && !ALLOWED_STATUSES.includes(status)) {
+      error('status', `Invalid status "${status}" (allowed: ${ALLOWED_STATUSES.join(', ')})`);
+    }
+
+    if (status === 'future' && !value(row, 'publish_at') && !value(row, 'date')) {
+      error('status', 'Status "future" needs a publish_at or date column with the publish date');
+    }
+
+    for (const column of ['date', 'publish_at']) {
+      const date = value(row, column);
+      if (date && !parseDateValue(date)) {
+        error(column, `Invalid date "${date}" (use YYYY-MM-DD or YYYY-MM-DD HH:MM)`);
+      }
+    }
+
+    const slug = value(row, 'slug');
+    if (slug) {
+      if (!SLUG_FORMAT.test(slug)) {
+        error('slug', `Invalid slug "${slug}" (use lowercase letters, digits and hyphens)`);
+      } else if (mode !== 'update' && slugs.has(slug)) {
+        warnings.push({ row: rowNumber, column: 'slug', message: `Same slug as row ${slugs.get(slug)}; this row will update that post` });
+      } else {
+        slugs.set(slug, rowNumber);
+      }
+    }
+
+    const acfJson = value(row, 'acf_json');
+    if (acfJson) {
+      try {
+        const parsed = JSON.parse(acfJson);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          error('acf_json', 'acf_json must be a JSON object ({"field": "value"})');
+        }
+      } catch (parseError) {
+        error('acf_json', `Invalid JSON: ${parseError.message}`);
+      }
+    }
+
+    const menuOrder = value(row, 'menu_order');
+    if (menuOrder && !/^-?\d+$/.test(menuOrder)) {
+      error('menu_order', `menu_order must be a whole number, got "${menuOrder}"`);
+    }
+
+    const postType = value(row, 'post_type');
+    if (postType && !/^[a-z0-9_-]+$/i.test(postType)) {
+      error('post_type', `Invalid post type "${postType}"`);
+    }
+
+    // featured_image_path wins over featured_image_url in the importer, so only that one is checked;
+    // either column may hold a URL or a local file
+    const imageColumn = value(row, 'featured_image_path') ? 'featured_image_path' : 'featured_image_url';
+    const image = value(row, imageColumn);
+    if (image) {
+      if (/^https?:\/\//i.test(image)) {
+        if (!imageUrls.has(image)) imageUrls.set(image, []);
+        imageUrls.get(image).push({ row: rowNumber, column: imageColumn });
+      } else if (!fs.existsSync(path.resolve(ROOT_DIR, image))) {
+        error(imageColumn, `Image file not found: ${path.resolve(ROOT_DIR, image)}`);
+      }
+    }
+  });
+
+  if (checkUrls) {
+    for (const [url, uses] of imageUrls) {
+      const check = await checkImageSource(url);
+      if (!check.reachable) {
+        uses.forEach(use => errors.push({ ...use, message: `Image URL not reachable: ${check.detail}` }));
+      }
+    }
+  }
+
+  // Header problems first, then by row
+  const byRow = (a, b) => (a.row ?? 0) - (b.row ?? 0);
+  errors.sort(byRow);
+  warnings.sort(byRow);
+
+  return { rows: rows.length, valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Load and validate a CSV file (see validateRows for options and the report)
+ */
+export async function validateCsvFile(csvPath, options = {}) {
+  const rows = await loadCsvRows(csvPath);
+  return validateRows(rows, options);
+}
+
+/**
+ * Print a validation report to the console, one line per issue
+ */
+export function printValidationReport(report) {
+  const location = issue => [issue.row ? `row ${issue.row}` : 'header', issue.column].filter(Boolean).join(', ');
+
+  for (const issue of report.errors) {
+    console.error(`❌ [${location(issue)}] ${issue.message}`);
+  }
+  for (const issue of report.warnings) {
+    console.log(`⚠️  [${location(issue)}] ${issue.message}`);
+  }
+  console.log(report.valid
+    ? `✅ ${report.rows} row(s) checked, no errors${report.warnings.length ? ` (${report.warnings.length} warning(s))` : ''}`
+    : `❌ ${report.rows} row(s) checked: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+}
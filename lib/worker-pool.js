@@ -0,0 +1,47 @@
+/**
+ * Sleep for specified milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a rate limiter that spaces calls at least minIntervalMs apart
+ * Shared by every worker of a run, so CONCURRENCY never exceeds the client's request_delay_ms budget.
+ */
+export function createRateLimiter(minIntervalMs) {
+  let nextSlot = 0;
+
+  return async function acquire() {
+    if (!minIntervalMs || minIntervalMs <= 0) return;
+
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + minIntervalMs;
+
+    if (wait > 0) {
+      await sleep(wait);
+    }
+  };
+}
+
+/**
+ * Run worker(item, index) over items with at most `concurrency` in flight
+ * Results are returned in input order regardless of completion order.
+ * Once `signal` (an AbortSignal) aborts, no new item is started; items in flight finish and the rest stay undefined.
+ */
+export async function runWithConcurrency(items, concurrency, worker, { signal = null } = {}) {
+  const results = new Array(items.length);
+  const poolSize = Math.max(1, Math.min(parseInt(concurrency, 10) || 1, items.length));
+  let nextIndex = 0;
+
+  async function runWorker() {
+    while (nextIndex < items.length && !signal?.aborted) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: poolSize }, runWorker));
+  return results;
+}
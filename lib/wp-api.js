@@ -0,0 +1,148 @@
+import axios from 'axios';
+import { createRateLimiter } from './worker-pool.js';
+
+// Responses worth retrying: rate limited, or the server/proxy is temporarily unavailable
+const RETRYABLE_STATUS = new Set([429, 502, 503, 504]);
+
+// Of those, the ones that mean the request was refused rather than lost on the way (502/504 can come from a
+// gateway that gave up while WordPress carried on and saved the post)
+const REFUSED_STATUS = new Set([429, 503]);
+
+// Network failures worth retrying (ECONNABORTED is how axios reports its own timeout)
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'EPIPE']);
+
+/**
+ * Sleep for specified milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read the retry policy for a client (falls back to MAX_RETRIES / RETRY_BASE_DELAY_MS / RETRY_MAX_DELAY_MS)
+ */
+export function getRetryPolicy(clientConfig = {}) {
+  return {
+    maxRetries: parseInt(clientConfig.max_retries ?? process.env.MAX_RETRIES ?? '3', 10),
+    baseDelayMs: parseInt(clientConfig.retry_base_delay_ms ?? process.env.RETRY_BASE_DELAY_MS ?? '1000', 10),
+    maxDelayMs: parseInt(clientConfig.retry_max_delay_ms ?? process.env.RETRY_MAX_DELAY_MS ?? '30000', 10),
+  };
+}
+
+/**
+ * Decide whether a failed request can be sent again
+ * Without a response, or with a gateway error, the request may already have been applied, so creates
+ * (POST to a collection) are only repeated when the server explicitly refused them (429, 503).
+ */
+function isRetryable(error) {
+  const config = error.config;
+  if (!config) return false;
+
+  const method = (config.method || 'get').toLowerCase();
+  const isCreate = method === 'post' && !/\/\d+\/?$/.test(config.url || '');
+
+  if (error.response) {
+    const status = error.response.status;
+    return isCreate ? REFUSED_STATUS.has(status) : RETRYABLE_STATUS.has(status);
+  }
+
+  return RETRYABLE_CODES.has(error.code) && !isCreate;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter; Retry-After wins when it asks for longer (capped at maxDelayMs)
+ */
+export function getRetryDelay(retryNumber, policy, retryAfterMs = null) {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (retryNumber - 1));
+  const jittered = exponential / 2 + Math.random() * (exponential / 2);
+
+  if (retryAfterMs !== null) {
+    return Math.min(policy.maxDelayMs, Math.max(retryAfterMs, jittered));
+  }
+  return jittered;
+}
+
+/**
+ * Create axios instance with auth for a specific client
+ * Every request waits on a rate limiter shared by all workers using this instance (request_delay_ms apart),
+ * and transient failures (429, 502, 503, 504, timeouts) are retried with backoff; creates only on 429 and 503.
+ */
+export function createApiInstance(clientConfig) {
+  const auth = Buffer.from(`${clientConfig.wp_user}:${clientConfig.wp_app_password}`).toString('base64');
+  const instance = axios.create({
+    baseURL: `${clientConfig.wp_site}/wp-json/wp/v2`,
+    headers: {
+      'Authorization': `Basic ${auth}`,
+      'Content-Type': 'application/json',
+    },
+    timeout: 30000,
+  });
+
+  const throttle = createRateLimiter(clientConfig.request_delay_ms);
+  const policy = getRetryPolicy(clientConfig);
+
+  instance.interceptors.request.use(async (request) => {
+    await throttle();
+    if (request.onAttempt) request.onAttempt();
+    return request;
+  });
+
+  instance.interceptors.response.use(null, async (error) => {
+    const config = error.config;
+    if (!isRetryable(error)) throw error;
+
+    const retryNumber = (config.retryCount || 0) + 1;
+    if (retryNumber > policy.maxRetries) throw error;
+
+    const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+    const delay = getRetryDelay(retryNumber, policy, retryAfterMs);
+    const reason = error.response ? `HTTP ${error.response.status}` : error.code;
+
+    console.warn(`   ⏳ ${reason} on ${config.method?.toUpperCase()} ${config.url} - retry ${retryNumber}/${policy.maxRetries} in ${(delay / 1000).toFixed(1)}s`);
+    if (config.onRetry) config.onRetry();
+
+    await sleep(delay);
+    return instance.request({ ...config, retryCount: retryNumber });
+  });
+
+  return instance;
+}
+
+/**
+ * Wrap an API instance so every request made through it is counted on `stats`
+ * stats.attempts counts HTTP attempts (including retries), stats.retries counts retries only.
+ * Everything created through it (a POST to a collection answered with 201) is listed in stats.created as
+ * { endpoint, id }, so the run can be undone later (see undo.js).
+ */
+export function trackAttempts(apiInstance, stats) {
+  const track = (config = {}) => ({
+    ...config,
+    onAttempt: () => { stats.attempts = (stats.attempts || 0) + 1; },
+    onRetry: () => { stats.retries = (stats.retries || 0) + 1; },
+  });
+
+  return {
+    get: (url, config) => apiInstance.get(url, track(config)),
+    post: async (url, data, config) => {
+      const response = await apiInstance.post(url, data, track(config));
+      if (response.status === 201 && response.data?.id && !/\/\d+\/?$/.test(url)) {
+        stats.created = [...(stats.created || []), { endpoint: url, id: response.data.id }];
+      }
+      return response;
+    },
+    delete: (url, config) => apiInstance.delete(url, track(config)),
+  };
+}
@@ -13,6 +13,23 @@ const fileText = document.getElementById('fileText');
 const selectedFileInfo = document.getElementById('selectedFileInfo');
 const selectedFileName = document.getElementById('selectedFileName');
 const clearFileBtn = document.getElementById('clearFileBtn');
+const dryRunInput = document.getElementById('dryRun');
+const sideloadImagesInput = document.getElementById('sideloadImages');
+const optimizeImagesInput = document.getElementById('optimizeImages');
+const blockNearDuplicatesInput = document.getElementById('blockNearDuplicates');
+const onDuplicateSelect = document.getElementById('onDuplicate');
+const validateBtn = document.getElementById('validateBtn');
+const validationSection = document.getElementById('validationSection');
+const undoBtn = document.getElementById('undoBtn');
+const cancelJobBtn = document.getElementById('cancelJobBtn');
+
+// Imports run as server-side jobs; the id of the one being followed survives a closed tab
+const LAST_JOB_KEY = 'lastJobId';
+const JOB_POLL_MS = 2000;
+let currentJobId = null;
+
+// Results of the last run that wrote to WordPress, for "Undo This Run"
+let lastRun = null;
 
 // Show selected file name and lock selection
 fileInput.addEventListener('change', (e) => {
@@ -50,9 +67,31 @@ clearFileBtn.addEventListener('click', (e) => {
     if (resultSection.style.display !== 'none') {
         resultSection.style.display = 'none';
     }
+    validationSection.style.display = 'none';
 });
 
-// CTS-only mode - no client selection needed
+// Load available clients (the selector is only shown when more than one site is configured)
+const clientSelector = document.getElementById('clientSelector');
+const clientSelect = document.getElementById('clientSelect');
+
+async function loadClients() {
+    try {
+        const response = await fetch('/api/clients', { credentials: 'include' });
+        const data = await response.json();
+        if (!data.success || !data.clients) return;
+
+        // Option() sets text and value as plain text, so names and URLs from clients.json can't inject markup
+        clientSelect.replaceChildren(...data.clients.map(client =>
+            new Option(`${client.name} (${client.wp_site})`, client.id, client.isDefault, client.isDefault)
+        ));
+
+        clientSelector.style.display = data.clients.length > 1 ? 'block' : 'none';
+    } catch (error) {
+        console.error('Failed to load clients:', error);
+    }
+}
+
+loadClients();
 
 // Handle form submission
 form.addEventListener('submit', async (e) => {
@@ -79,69 +118,114 @@ form.addEventListener('submit', async (e) => {
   // Always use upload endpoint for CTS
   const endpoint = '/upload';
 
+  // Progress messages for this session ID arrive over SSE while the job runs
+  const sessionId = Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9);
+  const formData = new FormData();
+  formData.append('csvfile', file);
+  formData.append('sessionId', sessionId);
+  if (clientSelect.value) {
+      formData.append('clientId', clientSelect.value);
+  }
+  formData.append('dryRun', dryRunInput.checked ? 'true' : 'false');
+  formData.append('sideloadImages', sideloadImagesInput.checked ? 'true' : 'false');
+  formData.append('optimizeImages', optimizeImagesInput.checked ? 'true' : 'false');
+  if (blockNearDuplicatesInput.checked) {
+      formData.append('nearDuplicates', 'block');
+  }
+  formData.append('onDuplicate', onDuplicateSelect.value);
+
+  await followJob(sessionId, async () => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      body: formData,
+      credentials: 'include' // Include cookies for authentication
+    });
+    const data = await response.json();
+    if (data.validation) {
+      return { job: { status: 'failed', error: data.error, validation: data.validation } };
+    }
+    if (!data.success) {
+      throw new Error(data.error || 'Upload failed');
+    }
+    // Servers without a job queue (Vercel) answer with the finished run
+    if (data.result) {
+      return { job: { status: 'completed', result: data.result, results: data.result.results, clientId: clientSelect.value } };
+    }
+    return { jobId: data.jobId };
+  });
+});
+
+// Show progress for a job until it finishes, then its results
+// startJob returns { jobId } for a queued job, or { job } when the run has already finished
+async function followJob(sessionId, startJob) {
   // Hide previous results/errors
   resultSection.style.display = 'none';
   errorSection.style.display = 'none';
-  
+  validationSection.style.display = 'none';
+
   // Lock file input during upload
   fileInput.disabled = true;
-  
+
   // Show progress
   progressSection.style.display = 'block';
-  progressText.textContent = '';
+  progressText.textContent = 'Queued...';
   const progressMessages = document.getElementById('progressMessages');
   if (progressMessages) {
     progressMessages.innerHTML = '';
   }
-  
+
   // Disable form
   uploadBtn.disabled = true;
   uploadBtn.querySelector('.btn-text').style.display = 'none';
   uploadBtn.querySelector('.btn-loader').style.display = 'inline';
 
-  try {
-    // Generate session ID and connect to SSE FIRST
-    const sessionId = Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9);
-    const eventSource = connectToProgress(sessionId);
-    
-    const formData = new FormData();
-    formData.append('csvfile', file);
-    formData.append('sessionId', sessionId);
-    // CTS-only: no client ID needed, uses default config
+  const eventSource = sessionId ? connectToProgress(sessionId) : null;
 
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      body: formData,
-      credentials: 'include' // Include cookies for authentication
-    });
-    
-    const data = await response.json();
-    
-    // Close SSE connection after processing is complete
-    if (eventSource) {
-      setTimeout(() => {
-        eventSource.close();
-      }, 1000);
+  try {
+    const started = await startJob();
+    let job = started.job;
+    if (!job) {
+      currentJobId = started.jobId;
+      localStorage.setItem(LAST_JOB_KEY, currentJobId);
+      cancelJobBtn.style.display = '';
+      job = await waitForJob(currentJobId);
+      localStorage.removeItem(LAST_JOB_KEY);
     }
-    
     progressText.textContent = 'Processing complete!';
 
-    if (data.success) {
-      setTimeout(() => {
-        showResults(data.result);
-      }, 500);
+    if (job.status === 'failed') {
+      showError(job.error || 'Upload failed');
+      if (job.validation) {
+        showValidation(job.validation);
+      }
     } else {
-      showError(data.error || 'Upload failed');
+      showResults({ ...job.result, results: job.results }, job.clientId);
+      if (job.status === 'cancelled') {
+        document.getElementById('resultTitle').textContent += ' (cancelled)';
+      }
+      if (job.result.validation && !job.result.validation.valid) {
+        showValidation(job.result.validation);
+      }
     }
   } catch (error) {
     showError('Error: ' + error.message);
   } finally {
+    // Close SSE connection after processing is complete
+    if (eventSource) {
+      setTimeout(() => {
+        eventSource.close();
+      }, 1000);
+    }
+    currentJobId = null;
+    cancelJobBtn.style.display = 'none';
+    cancelJobBtn.disabled = false;
+
     // Re-enable form
     uploadBtn.disabled = false;
     uploadBtn.querySelector('.btn-text').style.display = 'inline';
     uploadBtn.querySelector('.btn-loader').style.display = 'none';
     progressSection.style.display = 'none';
-    
+
     // Re-enable file input after upload completes
     if (fileInput.files.length > 0) {
       fileInput.disabled = true; // Keep disabled if file is still selected
@@ -149,9 +233,265 @@ form.addEventListener('submit', async (e) => {
       fileInput.disabled = false;
     }
   }
+}
+
+// Poll a job until it has finished; returns the job with its row results
+async function waitForJob(jobId) {
+  for (;;) {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}?summary=true`, { credentials: 'include' });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || 'Job not found');
+    }
+
+    const { status, progress } = data.job;
+    if (['completed', 'failed', 'cancelled'].includes(status)) {
+      const full = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`, { credentials: 'include' });
+      return (await full.json()).job;
+    }
+    progressText.textContent = status === 'queued'
+      ? 'Queued, waiting for earlier jobs to finish...'
+      : `Processing row ${progress.done} of ${progress.total ?? '?'}${progress.failed ? ` (${progress.failed} failed)` : ''}...`;
+
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
+  }
+}
+
+// Stop the job being followed: rows in progress finish, the rest are not processed
+cancelJobBtn.addEventListener('click', async () => {
+  if (!currentJobId || !confirm('Cancel this job? Rows already processed stay as they are.')) {
+    return;
+  }
+
+  cancelJobBtn.disabled = true;
+  try {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(currentJobId)}/cancel`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (!data.success) {
+      showError(data.error || 'Cancel failed');
+    }
+  } catch (error) {
+    showError('Error: ' + error.message);
+  }
+});
+
+// Pick up the job of a tab that was closed before it finished
+async function resumeLastJob() {
+  const jobId = localStorage.getItem(LAST_JOB_KEY);
+  if (!jobId) return;
+
+  try {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}?summary=true`, { credentials: 'include' });
+    const data = await response.json();
+    if (!data.success) {
+      localStorage.removeItem(LAST_JOB_KEY);
+      return;
+    }
+    await followJob(data.job.sessionId, async () => ({ jobId }));
+  } catch (error) {
+    console.error('Failed to resume job:', error);
+  }
+}
+
+resumeLastJob();
+
+// Check the selected CSV without uploading it
+validateBtn.addEventListener('click', async () => {
+    const file = fileInput.files[0];
+    if (!file) {
+        showError('<i class="fas fa-exclamation-circle"></i> Please select a CSV file to validate');
+        return;
+    }
+
+    resultSection.style.display = 'none';
+    errorSection.style.display = 'none';
+    validationSection.style.display = 'none';
+    validateBtn.disabled = true;
+    validateBtn.querySelector('.btn-text').style.display = 'none';
+    validateBtn.querySelector('.btn-loader').style.display = 'inline';
+
+    try {
+        const formData = new FormData();
+        formData.append('csvfile', file);
+        formData.append('onDuplicate', onDuplicateSelect.value);
+
+        const response = await fetch('/api/validate', {
+            method: 'POST',
+            body: formData,
+            credentials: 'include'
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            showValidation(data.report);
+        } else {
+            showError(data.error || 'Validation failed');
+        }
+    } catch (error) {
+        showError('Error: ' + error.message);
+    } finally {
+        validateBtn.disabled = false;
+        validateBtn.querySelector('.btn-text').style.display = 'inline';
+        validateBtn.querySelector('.btn-loader').style.display = 'none';
+    }
 });
 
-function showResults(result) {
+// Download the selected site's posts as a CSV that can be edited and uploaded again as an update
+document.getElementById('exportBtn').addEventListener('click', () => {
+    const params = new URLSearchParams();
+    if (clientSelect.value) {
+        params.set('clientId', clientSelect.value);
+    }
+    window.location.href = `/api/export?${params.toString()}`;
+});
+
+// Escape CSV values echoed back in the validation report
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Show the row/column issues found by /api/validate or the pre-flight check
+function showValidation(report) {
+    const summary = document.getElementById('validationSummary');
+    summary.className = `validation-summary ${report.valid ? 'valid' : 'invalid'}`;
+    summary.innerHTML = report.valid
+        ? `<i class="fas fa-check-circle"></i> ${report.rows} row(s) checked, no errors${report.warnings.length ? ` (${report.warnings.length} warning(s))` : ''}`
+        : `<i class="fas fa-times-circle"></i> ${report.rows} row(s) checked: ${report.errors.length} error(s), ${report.warnings.length} warning(s). Fix these before uploading.`;
+
+    const issues = [
+        ...report.errors.map(issue => ({ ...issue, level: 'error' })),
+        ...report.warnings.map(issue => ({ ...issue, level: 'warning' })),
+    ];
+    const validationTable = document.getElementById('validationTable');
+    validationTable.innerHTML = issues.length ? `
+        <table>
+            <thead>
+                <tr>
+                    <th>Row</th>
+                    <th>Column</th>
+                    <th>Level</th>
+                    <th>Problem</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${issues.map(issue => `
+                <tr>
+                    <td>${issue.row || 'Header'}</td>
+                    <td>${issue.column ? escapeHtml(issue.column) : '-'}</td>
+                    <td class="${issue.level === 'error' ? 'status-failed' : ''}">
+                        ${issue.level === 'error' ? '<i class="fas fa-times-circle"></i> Error' : '<i class="fas fa-exclamation-triangle"></i> Warning'}
+                    </td>
+                    <td>${escapeHtml(issue.message)}</td>
+                </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    ` : '';
+    validationTable.style.display = issues.length ? 'block' : 'none';
+
+    validationSection.style.display = 'block';
+    validationSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Format a byte count as KB/MB
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+// Show the before/after size of an optimized featured image
+function formatOptimization(report) {
+    if (!report || report.skipped) return '';
+    return `<br><small><i class="fas fa-compress"></i> ${formatBytes(report.before)} → ${formatBytes(report.after)}</small>`;
+}
+
+// Summarize a row's sideloaded inline images
+function formatInlineImages(images) {
+    if (!images || !images.length) return '';
+
+    const failed = images.filter(image => image.status === 'failed').length;
+    const text = `${images.length - failed} inline image(s) uploaded${failed ? `, ${failed} failed` : ''}`;
+    return `<br><small${failed ? ' class="plan-warning"' : ''}>${text}</small>`;
+}
+
+// Flag the existing posts (or earlier rows) a row closely resembles
+function formatNearDuplicates(matches) {
+    if (!matches || !matches.length) return '';
+
+    const [best] = matches;
+    const target = best.postId ? `post ${best.postId}` : `row ${best.rowNumber}`;
+    const scores = `title ${Math.round(best.score.title * 100)}%, content ${Math.round(best.score.content * 100)}%`;
+    const more = matches.length > 1 ? ` (+${matches.length - 1} more)` : '';
+    return `<br><small class="plan-warning" title="${escapeHtml(best.title)}"><i class="fas fa-clone"></i> Near-duplicate of ${target}: ${scores}${more}</small>`;
+}
+
+// Note which on_duplicate policy handled a row whose title was already taken
+function formatDuplicateOf(r) {
+    if (!r.duplicateOf) return '';
+
+    const target = r.duplicateOf.postId ? `post ${r.duplicateOf.postId}` : `row ${r.duplicateOf.rowNumber}`;
+    return `<br><small><i class="fas fa-copy"></i> Same title as ${target} (on_duplicate: ${escapeHtml(r.onDuplicate)})</small>`;
+}
+
+// Summarize an update's field-level diff ("3 fields changed / 12 unchanged"); the changed fields show on hover
+// Featured image details the row changed count as fields too
+function formatDiff(r) {
+    if (!r.changes) return '';
+
+    const changed = [
+        ...Object.keys(r.changes),
+        ...Object.keys(r.mediaChanges || {}).map(field => `featured image ${field}`),
+    ];
+    const text = `${changed.length} field${changed.length === 1 ? '' : 's'} changed / ${(r.unchanged || []).length} unchanged`;
+    return `<br><small${changed.length ? ` title="${escapeHtml(changed.join(', '))}"` : ''}><i class="fas fa-exchange-alt"></i> ${text}</small>`;
+}
+
+// Describe a dry-run plan for the results table (term names and image details come from the CSV, so they are escaped)
+function formatPlan(plan) {
+    if (!plan) return '-';
+
+    const lines = [];
+    if (plan.fields && plan.fields.length) {
+        lines.push(`Fields: ${escapeHtml(plan.fields.join(', '))}`);
+    }
+    if (plan.newCategories && plan.newCategories.length) {
+        lines.push(`New categories: ${escapeHtml(plan.newCategories.join(', '))}`);
+    }
+    if (plan.newTags && plan.newTags.length) {
+        lines.push(`New tags: ${escapeHtml(plan.newTags.join(', '))}`);
+    }
+    Object.entries(plan.newTerms || {}).forEach(([taxonomy, names]) => {
+        lines.push(`New ${escapeHtml(taxonomy)}: ${escapeHtml(names.join(', '))}`);
+    });
+    if (plan.date) {
+        lines.push(`<i class="fas fa-calendar-alt"></i> Date: ${escapeHtml(plan.date)}`);
+    }
+    if (plan.parentRow) {
+        lines.push(`Parent: created by row ${plan.parentRow}`);
+    }
+    if (plan.featuredImage) {
+        lines.push(plan.featuredImage.reachable
+            ? `<i class="fas fa-image"></i> Image OK`
+            : `<span class="plan-warning"><i class="fas fa-exclamation-triangle"></i> Image: ${escapeHtml(plan.featuredImage.detail)}</span>`);
+    }
+    if (plan.inlineImages && plan.inlineImages.length) {
+        const unreachable = plan.inlineImages.filter(image => !image.reachable);
+        lines.push(`<i class="fas fa-images"></i> ${plan.inlineImages.length} inline image(s) to upload`);
+        unreachable.forEach(image => {
+            lines.push(`<span class="plan-warning"><i class="fas fa-exclamation-triangle"></i> Inline image: ${escapeHtml(image.detail)}</span>`);
+        });
+    }
+
+    return lines.length ? `<div class="plan-details">${lines.join('<br>')}</div>` : '-';
+}
+
+function showResults(result, clientId = clientSelect.value) {
+    document.getElementById('resultTitle').textContent = result.dryRun ? 'Dry Run Plan' : 'Upload Results';
+
     // Update stats
     document.getElementById('successCount').textContent = result.success;
     document.getElementById('failedCount').textContent = result.failed;
@@ -168,6 +508,7 @@ function showResults(result) {
                 <th>Action</th>
                 <th>Post Status</th>
                 <th>Post ID</th>
+                ${result.dryRun ? '<th>Plan</th>' : ''}
                 <th>Error</th>
             </tr>
         </thead>
@@ -187,14 +528,22 @@ function showResults(result) {
                     <td>${r.title}</td>
                     <td class="${r.error ? 'status-failed' : 'status-success'}">
                         ${r.error ? '<i class="fas fa-times-circle"></i> Failed' : '<i class="fas fa-check-circle"></i> ' + (r.action || 'Success')}
+                        ${formatDiff(r)}
+                        ${formatDuplicateOf(r)}
+                        ${formatNearDuplicates(r.nearDuplicates)}
+                        ${r.retries ? `<br><small>${r.retries} ${r.retries === 1 ? 'retry' : 'retries'}</small>` : ''}
+                        ${formatInlineImages(r.inlineImages)}
+                        ${formatOptimization(r.featuredImageOptimization)}
                     </td>
                     <td class="${postStatusClass}">
                         ${postStatus === 'publish' ? '<i class="fas fa-globe"></i> Published' : 
                          postStatus === 'draft' ? '<i class="fas fa-file-alt"></i> Draft' : 
                          postStatus === 'private' ? '<i class="fas fa-lock"></i> Private' :
-                         postStatus === 'pending' ? '<i class="fas fa-clock"></i> Pending' : postStatus}
+                         postStatus === 'pending' ? '<i class="fas fa-clock"></i> Pending' :
+                         postStatus === 'future' ? '<i class="fas fa-calendar-alt"></i> Scheduled' : postStatus}
                     </td>
                     <td>${r.postId || '-'}</td>
+                    ${result.dryRun ? `<td>${formatPlan(r.plan)}</td>` : ''}
                     <td>${r.error || '-'}</td>
                 </tr>
             `;
@@ -206,10 +555,110 @@ function showResults(result) {
     resultsTable.innerHTML = '';
     resultsTable.appendChild(table);
 
+    // A run that created or updated something can be undone
+    const undoable = !result.dryRun && result.results.some(r =>
+        ['created', 'updated'].includes(r.action) || (r.created && r.created.length));
+    lastRun = undoable ? { results: result.results, clientId } : null;
+    undoBtn.style.display = undoable ? '' : 'none';
+
+    resultSection.style.display = 'block';
+    resultSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Show what an undo did to each post and to the media/terms the run created
+function showUndoResults(result) {
+    document.getElementById('resultTitle').textContent = 'Undo Results';
+
+    const total = result.posts.length + result.items.length;
+    document.getElementById('successCount').textContent = total - result.failed;
+    document.getElementById('failedCount').textContent = result.failed;
+    document.getElementById('totalCount').textContent = total;
+    document.getElementById('duration').textContent = '-';
+
+    const rows = [
+        ...result.posts.map(p => ({
+            row: p.rowNumber,
+            item: `${escapeHtml(p.title)} (${p.postType || 'post'} ${p.postId})`,
+            action: p.fields ? `${p.action} (${p.fields.join(', ')})` : p.action,
+            error: p.error,
+        })),
+        ...result.items.map(item => ({
+            row: '-',
+            item: `${item.kind === 'media' ? 'Media' : item.kind} ${item.id}`,
+            action: item.reason ? `${item.action} (${escapeHtml(item.reason)})` : item.action,
+            error: item.error,
+        })),
+    ];
+
+    const table = document.createElement('table');
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>Row</th>
+                <th>Item</th>
+                <th>Action</th>
+                <th>Error</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${rows.map(r => `
+                <tr>
+                    <td>${r.row}</td>
+                    <td>${r.item}</td>
+                    <td class="${r.error ? 'status-failed' : 'status-success'}">
+                        ${r.error ? '<i class="fas fa-times-circle"></i> Failed' : '<i class="fas fa-check-circle"></i> ' + (r.action || '-')}
+                    </td>
+                    <td>${r.error ? escapeHtml(r.error) : '-'}</td>
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+
+    const resultsTable = document.getElementById('resultsTable');
+    resultsTable.innerHTML = '';
+    resultsTable.appendChild(table);
+
+    lastRun = null;
+    undoBtn.style.display = 'none';
     resultSection.style.display = 'block';
     resultSection.scrollIntoView({ behavior: 'smooth' });
 }
 
+// Reverse the last run: posts it created are deleted, posts it updated restored, unused new media/terms removed
+undoBtn.addEventListener('click', async () => {
+    if (!lastRun) return;
+    if (!confirm('Undo this run? Posts it created will be deleted and posts it updated will get their previous values back.')) {
+        return;
+    }
+
+    errorSection.style.display = 'none';
+    undoBtn.disabled = true;
+    undoBtn.querySelector('.btn-text').style.display = 'none';
+    undoBtn.querySelector('.btn-loader').style.display = 'inline';
+
+    try {
+        const response = await fetch('/api/undo', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ clientId: lastRun.clientId || null, results: lastRun.results }),
+            credentials: 'include'
+        });
+        const data = await response.json();
+
+        if (data.success) {
+            showUndoResults(data.result);
+        } else {
+            showError(data.error || 'Undo failed');
+        }
+    } catch (error) {
+        showError('Error: ' + error.message);
+    } finally {
+        undoBtn.disabled = false;
+        undoBtn.querySelector('.btn-text').style.display = 'inline';
+        undoBtn.querySelector('.btn-loader').style.display = 'none';
+    }
+});
+
 function connectToProgress(sessionId) {
     const eventSource = new EventSource(`/progress/${sessionId}`);
     const progressMessages = document.getElementById('progressMessages');
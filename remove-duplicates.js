@@ -1,173 +1,161 @@
-import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
 import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { getClientConfig } from './lib/clients.js';
+import { createApiInstance } from './lib/wp-api.js';
+import { resolvePostType } from './lib/post-types.js';
+import { fetchAllPosts, EXPORT_STATUSES } from './lib/export.js';
+import { MATCH_MODES, KEEP_STRATEGIES, summarizePost, findDuplicateGroups, pickKeeper } from './lib/duplicates.js';
 
 dotenv.config();
 
-const WP_SITE = process.env.WP_SITE;
-const WP_USER = process.env.WP_USER;
-const WP_APP_PASSWORD = process.env.WP_APP_PASSWORD;
-
-if (!WP_SITE || !WP_USER || !WP_APP_PASSWORD) {
-  console.error('❌ Missing required environment variables');
-  process.exit(1);
+/**
+ * Split a comma-separated option and check every value against the allowed ones
+ */
+function parseList(value, allowed, optionName) {
+  const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const unknown = values.filter(item => !allowed.includes(item));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${optionName} "${unknown.join(', ')}" (allowed: ${allowed.join(', ')})`);
+  }
+  return values;
 }
 
-// Create axios instance with authentication
-const api = axios.create({
-  baseURL: `${WP_SITE}/wp-json/wp/v2`,
-  auth: {
-    username: WP_USER,
-    password: WP_APP_PASSWORD,
-  },
-  timeout: 30000,
-});
-
-// Normalize title for comparison
-function normalizeTitle(str) {
-  if (!str) return '';
-  return str
-    .replace(/<[^>]*>/g, '') // Remove HTML tags
-    .replace(/&nbsp;/g, ' ') // Replace &nbsp; with space
-    .replace(/&amp;/g, '&') // Replace &amp; with &
-    .replace(/&quot;/g, '"') // Replace &quot; with "
-    .replace(/&#8217;/g, "'") // Replace &#8217; (right single quotation) with '
-    .replace(/&#8216;/g, "'") // Replace &#8216; (left single quotation) with '
-    .replace(/&#39;/g, "'") // Replace &#39; with '
-    .replace(/&#038;/g, '&') // Replace &#038; with &
-    .replace(/&[^;]+;/g, '') // Remove any other HTML entities
-    .replace(/\s+/g, ' ') // Normalize whitespace
-    .toLowerCase()
-    .trim();
+/**
+ * Shape a post for the console and the report
+ */
+function describePost(post) {
+  return { id: post.id, title: post.title, slug: post.slug, status: post.status, date: post.date, modified: post.modified, featured_media: post.featuredMedia, link: post.link };
 }
 
-async function removeDuplicateDrafts() {
-  console.log('🔍 Fetching all draft posts...\n');
-  
-  // Fetch all draft posts
-  let page = 1;
-  const perPage = 100;
-  let hasMore = true;
-  const draftPosts = [];
-
-  while (hasMore) {
-    try {
-      const response = await api.get('/posts', {
-        params: {
-          per_page: perPage,
-          page: page,
-          status: 'draft',
-          orderby: 'date',
-          order: 'desc',
-        },
-      });
-
-      if (!response.data || response.data.length === 0) {
-        hasMore = false;
-        break;
-      }
-
-      draftPosts.push(...response.data);
-
-      if (response.data.length < perPage) {
-        hasMore = false;
-      } else {
-        page++;
-      }
-    } catch (error) {
-      console.error(`❌ Error fetching posts: ${error.message}`);
-      hasMore = false;
-    }
-  }
-
-  console.log(`📊 Found ${draftPosts.length} draft posts\n`);
-
-  // Group by normalized title
-  const titleMap = new Map();
-  draftPosts.forEach(post => {
-    const title = post.title?.rendered || post.title?.raw || post.title || '';
-    const normalizedTitle = normalizeTitle(title);
-    if (normalizedTitle) {
-      if (!titleMap.has(normalizedTitle)) {
-        titleMap.set(normalizedTitle, []);
-      }
-      titleMap.get(normalizedTitle).push({
-        id: post.id,
-        title: title,
-        date: post.date,
-        modified: post.modified || post.date,
-      });
-    }
-  });
-
-  // Find duplicates
-  const duplicates = [];
-  titleMap.forEach((posts, normalizedTitle) => {
-    if (posts.length > 1) {
-      // Sort by date (oldest first) - we'll keep the oldest one
-      posts.sort((a, b) => new Date(a.date) - new Date(b.date));
-      duplicates.push({
-        title: posts[0].title,
-        normalizedTitle: normalizedTitle,
-        keep: posts[0], // Keep the oldest one
-        delete: posts.slice(1), // Delete the rest
-      });
-    }
+/**
+ * Find duplicate posts and remove all but one per group:
+ * node remove-duplicates.js [--client <id>] [--post-type <type>] [--status publish,draft]
+ *   [--match title,slug,content] [--similarity 0.9] [--keep <strategy>] [--apply] [--force] [--report <path>]
+ * Without --apply nothing is removed; with it duplicates go to the trash, or are deleted permanently with --force.
+ */
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      client: { type: 'string' },
+      'post-type': { type: 'string' },
+      status: { type: 'string' },
+      match: { type: 'string', default: 'title' },
+      similarity: { type: 'string', default: '0.9' },
+      keep: { type: 'string', default: 'oldest' },
+      apply: { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false },
+      report: { type: 'string', default: 'duplicates_report.json' },
+    },
   });
 
-  if (duplicates.length === 0) {
-    console.log('✅ No duplicate draft posts found!');
-    return;
+  const match = parseList(args.match, MATCH_MODES, 'match mode');
+  const [keepStrategy] = parseList(args.keep, Object.keys(KEEP_STRATEGIES), 'keep strategy');
+  const statuses = args.status ? parseList(args.status, EXPORT_STATUSES, 'status') : EXPORT_STATUSES;
+  const threshold = parseFloat(args.similarity);
+  if (!(threshold > 0 && threshold <= 1)) {
+    throw new Error(`--similarity must be between 0 and 1 (got "${args.similarity}")`);
   }
 
-  console.log(`⚠️  Found ${duplicates.length} duplicate title(s) in drafts:\n`);
-  
-  let totalToDelete = 0;
-  duplicates.forEach((dup, index) => {
-    console.log(`${index + 1}. "${dup.title}"`);
-    console.log(`   Keeping: Post ID ${dup.keep.id} (created: ${new Date(dup.keep.date).toLocaleString()})`);
-    console.log(`   Deleting: ${dup.delete.length} duplicate(s)`);
-    dup.delete.forEach(post => {
-      console.log(`      - Post ID ${post.id} (created: ${new Date(post.date).toLocaleString()})`);
+  const clientConfig = getClientConfig(args.client || null);
+  const clientApi = createApiInstance(clientConfig);
+  const postType = await resolvePostType(args['post-type'] || '', clientApi);
+  const removal = args.force ? 'delete permanently' : 'move to the trash';
+
+  console.log('🔍 WordPress Duplicate Finder\n');
+  console.log(`Client: ${clientConfig.name}`);
+  console.log(`Site: ${clientConfig.wp_site}`);
+  console.log(`Post Type: ${postType.slug}`);
+  console.log(`Statuses: ${statuses.join(', ')}`);
+  console.log(`Match: ${match.join(', ')}${match.includes('content') ? ` (content at least ${Math.round(threshold * 100)}% similar)` : ''}`);
+  console.log(`Keep: ${keepStrategy}`);
+  console.log(args.apply ? `Duplicates: ${removal}` : `🧪 Dry run: nothing will be removed (add --apply to ${removal})`);
+  console.log('');
+
+  const posts = (await fetchAllPosts(clientApi, postType.restBase, statuses)).map(summarizePost);
+  console.log(`📊 Found ${posts.length} ${postType.slug}(s)\n`);
+
+  const groups = findDuplicateGroups(posts, { match, threshold }).map(group => ({
+    ...group,
+    ...pickKeeper(group.posts, keepStrategy),
+  }));
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    site: clientConfig.wp_site,
+    postType: postType.slug,
+    statuses,
+    match,
+    similarity: match.includes('content') ? threshold : null,
+    keep: keepStrategy,
+    applied: args.apply,
+    force: args.force,
+    groups: groups.map(group => ({
+      reasons: group.reasons,
+      keep: describePost(group.keep),
+      remove: group.remove.map(post => ({ ...describePost(post), result: args.apply ? null : 'planned' })),
+    })),
+  };
+
+  if (groups.length === 0) {
+    console.log('✅ No duplicate posts found!');
+  } else {
+    console.log(`⚠️  Found ${groups.length} group(s) of duplicates:\n`);
+    groups.forEach((group, index) => {
+      console.log(`${index + 1}. "${group.keep.title}" (matched by ${group.reasons.join(', ')})`);
+      console.log(`   Keeping: Post ID ${group.keep.id} [${group.keep.status}] (created: ${new Date(group.keep.date).toLocaleString()})`);
+      group.remove.forEach(post => {
+        console.log(`   ${args.apply ? 'Removing' : 'Would remove'}: Post ID ${post.id} [${post.status}] "${post.title}" (created: ${new Date(post.date).toLocaleString()})`);
+      });
+      console.log('');
     });
-    console.log('');
-    totalToDelete += dup.delete.length;
-  });
-
-  console.log(`\n📋 Summary: Will delete ${totalToDelete} duplicate draft post(s), keeping ${duplicates.length} original(s)\n`);
-  console.log('🗑️  Starting deletion...\n');
+  }
 
-  // Delete duplicates
-  let deletedCount = 0;
+  let removedCount = 0;
   let errorCount = 0;
-
-  for (const dup of duplicates) {
-    for (const post of dup.delete) {
+  if (args.apply) {
+    for (const entry of report.groups.flatMap(group => group.remove)) {
       try {
-        // Force delete (bypass trash)
-        await api.delete(`/posts/${post.id}`, {
-          params: { force: true },
-        });
-        console.log(`✅ Deleted Post ID ${post.id}: "${post.title}"`);
-        deletedCount++;
+        // Without force WordPress moves the post to the trash, where it can still be restored
+        await clientApi.delete(`/${postType.restBase}/${entry.id}`, { params: args.force ? { force: true } : {} });
+        entry.result = args.force ? 'deleted' : 'trashed';
+        console.log(`✅ ${args.force ? 'Deleted' : 'Trashed'} Post ID ${entry.id}: "${entry.title}"`);
+        removedCount++;
       } catch (error) {
-        console.error(`❌ Failed to delete Post ID ${post.id}: ${error.message}`);
+        entry.result = 'failed';
+        entry.error = error.response?.data ? `${error.message}: ${JSON.stringify(error.response.data)}` : error.message;
+        console.error(`❌ Failed to remove Post ID ${entry.id}: ${entry.error}`);
         errorCount++;
       }
     }
   }
 
+  const reportPath = path.resolve(args.report);
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  const duplicateCount = report.groups.reduce((sum, group) => sum + group.remove.length, 0);
   console.log('\n' + '═'.repeat(80));
-  console.log('📊 DELETION SUMMARY:');
+  console.log('📊 DUPLICATE SUMMARY:');
   console.log('═'.repeat(80));
-  console.log(`✅ Successfully deleted: ${deletedCount} post(s)`);
-  if (errorCount > 0) {
-    console.log(`❌ Failed to delete: ${errorCount} post(s)`);
+  if (args.apply) {
+    console.log(`${args.force ? '🗑️  Permanently deleted' : '🗑️  Moved to trash'}: ${removedCount} post(s)`);
+    if (errorCount > 0) {
+      console.log(`❌ Failed to remove: ${errorCount} post(s)`);
+    }
+  } else {
+    console.log(`🧪 Would ${removal}: ${duplicateCount} post(s)`);
+  }
+  console.log(`📝 Kept: ${groups.length} post(s)`);
+  console.log(`📄 Report: ${reportPath}`);
+  if (!args.apply && duplicateCount > 0) {
+    console.log('💡 Check the report, then run again with --apply');
   }
-  console.log(`📝 Kept: ${duplicates.length} original post(s)`);
+
+  process.exit(errorCount > 0 ? 1 : 0);
 }
 
-removeDuplicateDrafts().catch(error => {
+main().catch(error => {
   console.error('❌ Fatal error:', error.message);
   process.exit(1);
 });
-
@@ -6,7 +6,14 @@ import fs from 'fs';
 import dotenv from 'dotenv';
 import cookieParser from 'cookie-parser';
 import { processCsvFile, getAvailableClients as getUploadClients } from './bulk-upload.js';
-import { processUpdateCsvFile, getAvailableClients as getUpdateClients } from './bulk-update.js';
+import { processUpdateCsvFile } from './bulk-update.js';
+import { validateCsvFile } from './lib/validate.js';
+import { getClientConfig } from './lib/clients.js';
+import { createApiInstance } from './lib/wp-api.js';
+import { exportPosts } from './lib/export.js';
+import { undoRun } from './lib/undo.js';
+import { createJobQueue, summarizeJob, isFinishedJob, JOB_STATUSES } from './lib/jobs.js';
+import { parseDuplicatePolicy, getNearDuplicateOptions } from './lib/duplicates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -63,7 +70,8 @@ const upload = multer({
 });
 
 // Parse JSON, URL-encoded bodies, and cookies
-app.use(express.json());
+// (JSON up to the CSV limit: /api/undo receives a run's results, including the content it overwrote)
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
@@ -138,8 +146,8 @@ function requireAuth(req, res, next) {
   }
 
   // No valid session - redirect to login or return 401 for API calls
-  // Allow /api/clients without auth (it's safe, just returns available clients)
-  if ((req.path.startsWith('/api/') && req.path !== '/api/clients') || 
+  // /api/clients is protected too: the registry lists every managed client site
+  if (req.path.startsWith('/api/') || 
       req.path === '/upload' || 
       req.path === '/update' ||
       req.path.startsWith('/progress/') ||
@@ -314,8 +322,26 @@ function broadcastProgress(sessionId, progress) {
   }
 }
 
-// Upload and process CSV
-app.post('/upload', upload.single('csvfile'), async (req, res) => {
+const csvProcessors = { upload: processCsvFile, update: processUpdateCsvFile };
+
+// Imports run as jobs (see lib/jobs.js): /upload and /update queue the CSV and answer at once with the job id,
+// progress goes out over SSE to the sessionId and /api/jobs/:id has the state and row results.
+// Job state lives in JOBS_DIR (default jobs/), so a restart picks up where it stopped.
+// Vercel freezes a function once it has responded and /tmp doesn't outlive the instance, so there the CSV is
+// still processed inside the request and the job API is off.
+const jobQueue = isVercel ? null : createJobQueue({
+  dir: process.env.JOBS_DIR || path.join(__dirname, 'jobs'),
+  processors: csvProcessors,
+  onProgress: (job, progress) => {
+    if (job.sessionId) broadcastProgress(job.sessionId, { ...progress, jobId: job.id });
+  },
+});
+
+/**
+ * Queue an uploaded CSV as a job and answer 202 with its id; the temporary upload is removed either way
+ * Without a job queue (Vercel) the CSV is processed before answering, and the answer carries the result.
+ */
+async function enqueueCsvJob(type, options, req, res) {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
@@ -325,84 +351,185 @@ app.post('/upload', upload.single('csvfile'), async (req, res) => {
   const clientId = req.body.clientId || null;
 
   try {
-    const csvPath = req.file.path;
-    console.log(`Processing uploaded file: ${csvPath}${clientId ? ` for client: ${clientId}` : ''}`);
-    
-    // Progress callback - broadcast immediately to SSE connections
-    const progressCallback = (progress) => {
-      broadcastProgress(sessionId, progress);
-    };
-    
-    // Process the CSV file using the existing bulk upload logic
-    const result = await processCsvFile(csvPath, progressCallback, clientId);
-    
-    // Clean up uploaded file after processing
-    fs.unlinkSync(csvPath);
-    
-    res.json({
+    if (clientId && !getUploadClients().some(client => client.id === clientId)) {
+      return res.status(400).json({ error: `Unknown client: ${clientId}`, sessionId });
+    }
+
+    // Bad option values are refused now instead of failing the job later
+    try {
+      if (options.onDuplicate) parseDuplicatePolicy(options.onDuplicate);
+      if (options.nearDuplicates) getNearDuplicateOptions({}, options.nearDuplicates);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message, sessionId });
+    }
+
+    if (!jobQueue) {
+      console.log(`Processing ${type} file: ${req.file.originalname}${clientId ? ` for client: ${clientId}` : ''}${options.dryRun ? ' (dry run)' : ''}`);
+      const result = await csvProcessors[type](req.file.path, progress => broadcastProgress(sessionId, progress), clientId, options);
+      return res.json({
+        success: true,
+        message: options.dryRun ? 'Dry run completed - nothing was written' : `${type === 'upload' ? 'Upload' : 'Update'} completed successfully`,
+        result: result,
+        sessionId: sessionId
+      });
+    }
+
+    const job = jobQueue.enqueue(type, { csvPath: req.file.path, fileName: req.file.originalname, clientId, sessionId, options });
+    console.log(`Queued ${type} job ${job.id}: ${req.file.originalname}${clientId ? ` for client: ${clientId}` : ''}${options.dryRun ? ' (dry run)' : ''}`);
+
+    res.status(202).json({
       success: true,
-      message: 'Upload completed successfully',
-      result: result,
+      message: `${type === 'upload' ? 'Upload' : 'Update'} queued as job ${job.id}`,
+      jobId: job.id,
+      job: summarizeJob(job),
       sessionId: sessionId
     });
   } catch (error) {
-    // Clean up uploaded file on error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    
-    console.error('Upload error:', error);
-    res.status(500).json({
+    console.error(`${type === 'upload' ? 'Upload' : 'Update'} error:`, error);
+    // A CSV that fails the pre-flight check (inline runs) is the client's to fix: send the row/column report back
+    res.status(error.validation ? 400 : 500).json({
       success: false,
-      error: error.message || 'An error occurred during upload',
+      error: error.message || `An error occurred during ${type}`,
+      validation: error.validation || null,
       sessionId: sessionId
     });
+  } finally {
+    if (fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
   }
+}
+
+// Upload CSV: queued as an upload job
+app.post('/upload', upload.single('csvfile'), (req, res) => {
+  enqueueCsvJob('upload', {
+    dryRun: req.body.dryRun === 'true' || req.body.dryRun === 'on',
+    sideloadImages: req.body.sideloadImages === 'true' || req.body.sideloadImages === 'on',
+    optimizeImages: req.body.optimizeImages === 'true' || req.body.optimizeImages === 'on',
+    // "off", "warn" or "block"; without it the client's near_duplicates setting applies
+    nearDuplicates: req.body.nearDuplicates || null,
+    // What a row whose title already exists does: "fail", "skip", "update-existing" or "create-anyway"
+    onDuplicate: req.body.onDuplicate || null,
+  }, req, res);
+});
+
+// Update existing posts from CSV: queued as an update job
+app.post('/update', upload.single('csvfile'), (req, res) => {
+  enqueueCsvJob('update', {
+    dryRun: req.body.dryRun === 'true' || req.body.dryRun === 'on',
+    sideloadImages: req.body.sideloadImages === 'true' || req.body.sideloadImages === 'on',
+    optimizeImages: req.body.optimizeImages === 'true' || req.body.optimizeImages === 'on',
+  }, req, res);
+});
+
+// The job API needs the queue, which isn't there on Vercel
+app.use('/api/jobs', (req, res, next) => {
+  if (jobQueue) return next();
+  res.status(501).json({ success: false, error: 'Background jobs are not available on Vercel; imports run inside the request there' });
 });
 
-// Update existing posts from CSV
-app.post('/update', upload.single('csvfile'), async (req, res) => {
+// List jobs, newest first, without their row results; ?status=queued,running narrows the list
+app.get('/api/jobs', (req, res) => {
+  const statuses = req.query.status ? String(req.query.status).split(',').map(status => status.trim()).filter(Boolean) : null;
+  const unknown = (statuses || []).filter(status => !JOB_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    return res.status(400).json({ success: false, error: `Unknown status "${unknown.join(', ')}" (allowed: ${JOB_STATUSES.join(', ')})` });
+  }
+  res.json({ success: true, jobs: jobQueue.list(statuses).map(summarizeJob) });
+});
+
+// One job with its progress, messages and row results (?summary=true leaves the results and messages out)
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+  }
+  res.json({ success: true, job: req.query.summary === 'true' ? summarizeJob(job) : job });
+});
+
+// Cancel a job: a queued job never starts, a running one stops after the rows in progress
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+  }
+  if (isFinishedJob(job)) {
+    return res.status(409).json({ success: false, error: `Job ${job.id} already ${job.status}`, job: summarizeJob(job) });
+  }
+  jobQueue.cancel(job.id);
+  console.log(`Cancel requested for job ${job.id}`);
+  res.json({ success: true, job: summarizeJob(job) });
+});
+
+// Check a CSV without importing it: row/column error report
+// mode is "upload" (default) or "update"; checkUrls=false skips fetching image URLs
+app.post('/api/validate', upload.single('csvfile'), async (req, res) => {
   if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+    return res.status(400).json({ success: false, error: 'No file uploaded' });
   }
 
-  // Get sessionId and clientId from form data or generate one
-  const sessionId = req.body.sessionId || Date.now().toString();
-  const clientId = req.body.clientId || null;
+  const mode = req.body.mode === 'update' ? 'update' : 'upload';
+  const checkUrls = req.body.checkUrls !== 'false';
+  const onDuplicate = req.body.onDuplicate || 'fail';
 
   try {
-    const csvPath = req.file.path;
-    console.log(`Processing update file: ${csvPath}${clientId ? ` for client: ${clientId}` : ''}`);
-    
-    // Progress callback - broadcast immediately to SSE connections
-    const progressCallback = (progress) => {
-      broadcastProgress(sessionId, progress);
-    };
-    
-    // Process the CSV file using the bulk update logic
-    const result = await processUpdateCsvFile(csvPath, progressCallback, clientId);
-    
-    // Clean up uploaded file after processing
-    fs.unlinkSync(csvPath);
-    
-    res.json({
-      success: true,
-      message: 'Update completed successfully',
-      result: result,
-      sessionId: sessionId
-    });
+    const report = await validateCsvFile(req.file.path, { mode, checkUrls, onDuplicate });
+    res.json({ success: true, report });
   } catch (error) {
-    // Clean up uploaded file on error
-    if (req.file && fs.existsSync(req.file.path)) {
+    console.error('Validate error:', error);
+    res.status(500).json({ success: false, error: error.message || 'An error occurred during validation' });
+  } finally {
+    if (fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
-    
-    console.error('Update error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'An error occurred during update',
-      sessionId: sessionId
+  }
+});
+
+// Download existing posts as a CSV in the importer's format (edit it and feed it back into /update)
+// Query: clientId, postType, status (comma-separated)
+app.get('/api/export', async (req, res) => {
+  const clientId = req.query.clientId || null;
+  if (clientId && !getUploadClients().some(client => client.id === clientId)) {
+    return res.status(400).json({ success: false, error: `Unknown client: ${clientId}` });
+  }
+
+  try {
+    const clientConfig = getClientConfig(clientId);
+    const { csv } = await exportPosts(createApiInstance(clientConfig), {
+      postType: req.query.postType || '',
+      status: req.query.status || '',
     });
+    const fileName = `export-${clientConfig.id}-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ success: false, error: error.message || 'An error occurred during export' });
+  }
+});
+
+// Undo a finished run: delete the posts it created, restore the ones it updated, remove media/terms nothing uses
+// Body (JSON): clientId, results (the run's log entries as returned by /upload or /update), dryRun
+app.post('/api/undo', async (req, res) => {
+  const clientId = req.body.clientId || null;
+  if (clientId && !getUploadClients().some(client => client.id === clientId)) {
+    return res.status(400).json({ success: false, error: `Unknown client: ${clientId}` });
+  }
+  if (!Array.isArray(req.body.results)) {
+    return res.status(400).json({ success: false, error: 'No run results to undo' });
+  }
+
+  try {
+    const clientConfig = getClientConfig(clientId);
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    console.log(`Undoing run of ${req.body.results.length} row(s)${clientId ? ` for client: ${clientId}` : ''}${dryRun ? ' (dry run)' : ''}`);
+    const result = await undoRun(req.body.results, createApiInstance(clientConfig), { dryRun });
+    res.json({ success: true, result });
+  } catch (error) {
+    console.error('Undo error:', error);
+    res.status(500).json({ success: false, error: error.message || 'An error occurred during undo' });
   }
 });
 
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { getClientConfig } from './lib/clients.js';
+import { createApiInstance } from './lib/wp-api.js';
+import { readImportLog } from './lib/import-log.js';
+import { undoRun } from './lib/undo.js';
+
+dotenv.config();
+
+/**
+ * Undo an upload or update run from its log:
+ * node undo.js <import_log.json|update_log.json> [--client <id>] [--dry-run]
+ * Use the same client as the run; the result is written to undo_log.json next to the log.
+ */
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    options: {
+      client: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+    },
+    allowPositionals: true,
+  });
+
+  if (!positionals[0]) {
+    console.error('❌ Usage: node undo.js <import_log.json|update_log.json> [--client <id>] [--dry-run]');
+    process.exit(1);
+  }
+
+  const logPath = path.resolve(positionals[0]);
+  const entries = readImportLog(logPath);
+  const clientConfig = getClientConfig(args.client || null);
+  const clientApi = createApiInstance(clientConfig);
+  const dryRun = args['dry-run'];
+
+  console.log('↩️  WordPress Run Undo\n');
+  console.log(`Client: ${clientConfig.name}`);
+  console.log(`Site: ${clientConfig.wp_site}`);
+  console.log(`Log: ${logPath} (${entries.length} row(s))`);
+  if (dryRun) {
+    console.log('🧪 Dry run: nothing will be deleted or restored');
+  }
+  console.log('');
+
+  const result = await undoRun(entries, clientApi, { dryRun });
+
+  const undoLogPath = path.join(path.dirname(logPath), dryRun ? 'undo_plan.json' : 'undo_log.json');
+  fs.writeFileSync(undoLogPath, JSON.stringify(result, null, 2));
+  console.log(`\n📝 Log written to: ${undoLogPath}`);
+
+  const count = (list, action) => list.filter(item => item.action === action).length;
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Summary');
+  console.log('='.repeat(50));
+  if (dryRun) {
+    console.log(`🗑️  Would delete: ${count(result.posts, 'would-delete')} post(s)`);
+    console.log(`↩️  Would restore: ${count(result.posts, 'would-restore')} post(s)`);
+    console.log(`🧹 Media/terms to check: ${result.items.length}`);
+  } else {
+    console.log(`🗑️  Deleted: ${count(result.posts, 'deleted')} post(s)`);
+    console.log(`↩️  Restored: ${count(result.posts, 'restored')} post(s)`);
+    console.log(`🧹 Removed: ${count(result.items, 'deleted')} media/term(s), kept ${count(result.items, 'kept')} still in use`);
+  }
+  console.log(`❌ Failed: ${result.failed}`);
+  console.log('='.repeat(50) + '\n');
+
+  process.exit(result.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ Undo failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { validateCsvFile, printValidationReport } from './lib/validate.js';
+import { parseDuplicatePolicy } from './lib/duplicates.js';
+
+dotenv.config();
+
+/**
+ * Check a CSV before importing it: node validate.js [csvPath] [--update] [--skip-urls] [--on-duplicate <policy>]
+ * --on-duplicate is the policy the upload will run with, so same-title rows are judged the same way.
+ * Exits with 1 when any row has an error.
+ */
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    options: {
+      update: { type: 'boolean', default: false },
+      'skip-urls': { type: 'boolean', default: false },
+      'on-duplicate': { type: 'string' },
+    },
+    allowPositionals: true,
+  });
+
+  const csvPath = positionals[0] || process.env.CSV_PATH || 'posts.csv';
+  const mode = args.update ? 'update' : 'upload';
+
+  console.log(`🔎 Validating ${csvPath} for ${mode}${args['skip-urls'] ? ' (image URLs not checked)' : ''}\n`);
+  const report = await validateCsvFile(csvPath, { mode, checkUrls: !args['skip-urls'], onDuplicate: parseDuplicatePolicy(args['on-duplicate']) || 'fail' });
+  printValidationReport(report);
+
+  process.exit(report.valid ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ Fatal error:', error.message);
+  process.exit(1);
+});